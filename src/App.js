@@ -1,14 +1,42 @@
-import React, { useMemo, useState, useCallback, useRef } from 'react';
-import data from './aircraft_activity.json';
-import metarData from './alb_metar.json';
-
-// Aircraft identifiers & colors
-const tailsOrder = ['N65620','N854GW','N756VH'];
-const tailColors = {
-  N65620: '#8A2BE2',  // BlueViolet
-  N854GW: '#2A9D8F',
-  N756VH: '#264653',
-};
+import React, { useMemo, useState, useCallback, useRef, useEffect } from 'react';
+import fleetConfig from './fleet.json';
+import { normalizeFleet, isActiveOn, fleetInRange, fleetColors } from './fleet';
+import { DEFAULT_URLS, metarStation } from './datasets';
+import DataLoader from './DataLoader';
+import DataQuality from './DataQuality';
+import UtilizationView from './UtilizationView';
+import UnusedView from './UnusedView';
+import DemandView from './DemandView';
+import { validateActivity } from './validate';
+import { recordSpan } from './flightRecords';
+import { segmentsFromBlocks, segmentsFromTracked, mergeSegments, indexSegments, keyToDate } from './flightModel';
+import { PRESETS, dataExtent, presetRange, clampRange, inRange, rangeDays } from './dateRange';
+import { BADGE_ROW_HEIGHT, buildWeeks, dayKey } from './calendar';
+import WeekRow, { weekHeight } from './WeekRow';
+import useVirtualRows from './useVirtualRows';
+import SettingsView from './SettingsView';
+import { loadSettings, saveSettings } from './settings';
+import { decodeMetar, summarizeMetar, windText } from './metarDecoder';
+import { parseRunways, crosswind, crosswindColor } from './wind';
+import { STALE_MIN, NO_METAR, buildTimeline, blockWeather, routeWeather } from './weatherInEffect';
+import { icaoCode } from './routes';
+import { forecastLookup, forecastAccuracy } from './taf';
+import { routineMinute, hourlyLookup, coverage, longestOutages } from './observations';
+import { sunMinutes, dayNightMinutes } from './sun';
+import { fleetBusy, fullyBooked } from './concurrency';
+import { availableWindow } from './utilization';
+import { flyableSpans, unusedFlyable } from './flyable';
+import { ICING_MAX, ICING_MIN, fogRisk, icingRisk, riskColor, riskText } from './risk';
+import { densityAltitude, densityAltitudeColor, densityAltitudeText } from './densityAltitude';
+import { tempToColor, formatTemp, validStops, DEFAULT_TEMP_STOPS } from './temperature';
+import TempLegend from './TempLegend';
+import {
+  BELOW_MINS, belowMinimums, ceilingColor, visibilityColor, ceilingText, visibilityText,
+} from './minimums';
+
+// Aircraft identifiers & colors (from fleet.json)
+const FLEET      = normalizeFleet(fleetConfig);
+const tailColors = fleetColors(FLEET);
 
 // Flight‐category colors (industry standard)
 const flightCategoryColor = {
@@ -18,73 +46,95 @@ const flightCategoryColor = {
   VFR:  '#00FF00',
 };
 
-// Temperature heatmap
-function tempToColor(temp) {
-  if (temp == null)    return 'transparent';
-  if (temp <= -30)     return '#2c003e';
-  if (temp <= -10)     return '#0033cc';
-  if (temp <= 0)       return '#33ccff';
-  if (temp <= 10)      return '#66ffcc';
-  if (temp <= 20)      return '#ffff99';
-  if (temp <= 30)      return '#ffcc00';
-  return '#ff3300';
-}
+// Filter/count categories: the four above, "below personal minimums" and
+// blocks with no METAR to judge them by
+const CATEGORIES     = ['LIFR','IFR','MVFR','VFR',BELOW_MINS,NO_METAR];
+const CATEGORY_LABEL = { [BELOW_MINS]:'Below mins', [NO_METAR]:'No METAR' };
+const categoryColor  = { ...flightCategoryColor, [BELOW_MINS]:'#FF8C00', [NO_METAR]:'#9E9E9E' };
+const CATEGORY_OPTIONS = CATEGORIES.map(c=>[c,CATEGORY_LABEL[c]||c]);
+
+// Set-aside flight-tracker row lists kept per tail
+const RAW_KINDS = ['ignored','overlap','duplicates'];
+
+// How a block matches a category filter
+const CAT_MODES = [['any','Any time'],['worst','Worst'],['departure','Departure']];
+
+// Weather-risk filter options
+const RISK_FILTERS = [['all','Any'],['fog','Fog risk'],['icing','Icing risk']];
+
+// Route filter options
+const ROUTE_FILTERS = [['all','All flights'],['local','Local only'],['xc','Cross-country']];
+
+// Stable empty METAR list for a station with no file
+const NO_RECORDS = [];
 
-// Date range
-const START_DATE = new Date(2024,6,1);
-const END_DATE   = new Date(2025,7,1);
+// Range shown before any data arrives: the last four weeks
+function fallbackExtent() {
+  const end = new Date(), start = new Date();
+  start.setDate(start.getDate()-27);
+  return { start: dayKey(start), end: dayKey(end) };
+}
 
 // Layout constants
 const DEFAULT_HOUR_PX  = 4;
-const BADGE_ROW_HEIGHT = 12;
+
+// Top-level views
+const VIEWS = [['calendar','Calendar'],['utilization','Utilization'],['demand','Demand'],['unused','Unused weather'],['quality','Data quality'],['settings','Settings']];
 
 // Tick‐mark hours
 const HOURS = [0,6,12,18];
 
-// Build weeks Mon→Sun
-function buildWeeks(start,end) {
-  const weeks = [];
-  const first = new Date(start);
-  first.setDate(first.getDate() - ((first.getDay()+6)%7));
-  let cur = new Date(first);
-  while(cur <= end) {
-    const wk = [];
-    for(let i=0;i<7;i++){
-      wk.push(new Date(cur));
-      cur.setDate(cur.getDate()+1);
+export default function App(){
+  // Datasets, loaded at runtime
+  const [data,setData]           = useState(null);
+  const [metarFiles,setMetarFiles] = useState({});   // ICAO → { records, source }
+  const [tracked,setTracked]     = useState(null);
+  const [tafData,setTafData]     = useState(null);
+  const [sources,setSources]     = useState({});
+  const onLoaded = useCallback((kind,json,source)=>{
+    if(kind==='activity') setData(json);
+    if(kind==='tracked')  setTracked(json);
+    if(kind==='taf')      setTafData(json);
+    if(kind==='metar'){
+      const icao=metarStation(json,source);
+      setMetarFiles(m=>({...m,[icao]:{records:json,source}}));
+      return;
     }
-    weeks.push(wk);
-  }
-  return weeks;
-}
+    setSources(s=>({...s,[kind]:source}));
+  },[]);
 
-// Day badge formatting
-function formatBadge(d) {
-  const m = d.getMonth()+1, day = d.getDate(), y = d.getFullYear();
-  if (m === 1 && day === 1) return `${m}/${day}/${y}`;
-  if (day === 1)           return `${m}/${day}`;
-  return `${day}`;
-}
+  // METAR stations: one file each; the selected one drives the weather rows
+  const stations = useMemo(()=>Object.keys(metarFiles).sort(),[metarFiles]);
+  const [stationPick,setStationPick] = useState(null);
+  const station   = stations.includes(stationPick) ? stationPick : (stations[0]||null);
+  const metarData = metarFiles[station]?.records || NO_RECORDS;
+  const allSources = useMemo(()=>({
+    ...sources,
+    metar: Object.entries(metarFiles).map(([icao,f])=>`${icao} (${f.source})`).join(', '),
+  }),[sources,metarFiles]);
 
-// Day‐of‐week background
-function getBg(d) {
-  const wd = d.getDay();
-  if(wd===2||wd===4) return '#F5F5F5'; // Tue/Thu
-  if(wd===6)        return '#E6F9E6'; // Sat
-  if(wd===0)        return '#E6F0FF'; // Sun
-  return 'transparent';               // Mon/Wed/Fri
-}
+  // Judge blocks at the selected station, or at their origin and destination
+  const [wxAtRoute,setWxAtRoute] = useState(false);
+
+  // Current view
+  const [view,setView] = useState('calendar');
+
+  // Settings (persisted)
+  const [settings,setSettings] = useState(loadSettings);
+  useEffect(()=>saveSettings(settings),[settings]);
+  const updateSetting = useCallback((k,v)=>setSettings(s=>({...s,[k]:v})),[]);
 
-export default function App(){
   // Zoom
   const [hourPx,setHourPx] = useState(DEFAULT_HOUR_PX);
   const DAY_WIDTH   = 24 * hourPx;
-  const AC_ROW_H    = hourPx * 2;
-  const METAR_ROW_H = hourPx;
+
+  // Date range selection
+  const [preset,setPreset] = useState('all');
+  const [custom,setCustom] = useState(null);
 
   // Aircraft visibility
-  const [visible,setVisible] = useState(
-    tailsOrder.reduce((o, t) => {
+  const [visible,setVisible] = useState(()=>
+    FLEET.map(ac=>ac.tail).reduce((o, t) => {
       o[t] = true;
       return o;
     }, {})
@@ -94,87 +144,333 @@ export default function App(){
   // Layer toggles
   const [showFlightCat,setShowFlightCat] = useState(true);
   const [showTemp,      setShowTemp]      = useState(true);
+  const [showRaw,       setShowRaw]       = useState(false);
+  const [showRoutes,    setShowRoutes]    = useState(false);
+  const [showWind,      setShowWind]      = useState(false);
+  const [showCeiling,   setShowCeiling]   = useState(false);
+  const [showVis,       setShowVis]       = useState(false);
+  const [showMins,      setShowMins]      = useState(false);
+  const [showGaps,      setShowGaps]      = useState(false);
+  const [showNight,     setShowNight]     = useState(true);
+  const [showRisk,      setShowRisk]      = useState(false);
+  const [showDA,        setShowDA]        = useState(false);
+  const [showTaf,       setShowTaf]       = useState(false);
+  const [showBusy,      setShowBusy]      = useState(false);
+  const [showUnused,    setShowUnused]    = useState(false);
+
+  // Route filter
+  const [routeFilter,setRouteFilter] = useState('all');
 
   // Category filters
   const [catFilters,setCatFilters] = useState({
-    LIFR:true, IFR:true, MVFR:true, VFR:true
+    LIFR:true, IFR:true, MVFR:true, VFR:true, [BELOW_MINS]:true, [NO_METAR]:true
   });
   const toggleCat = c => setCatFilters(f=>({...f,[c]:!f[c]}));
+  const [catMode,setCatMode] = useState('any');
+
+  // Crosswind filter: only blocks with crosswind above this many knots (0 = off)
+  const [xwindMin,setXwindMin] = useState(0);
+
+  // Risk filter: only blocks flown with fog or icing risk in effect
+  const [riskFilter,setRiskFilter] = useState('all');
+
+  // METAR records with their station, decoded raw report, the crosswind on
+  // the station's best runway, whether they were below personal minimums,
+  // fog/icing risk and density altitude at the field. Crosswind and density
+  // altitude need the station's airfield settings and are null without them.
+  const airfields = useMemo(()=>Object.fromEntries(
+    Object.entries(settings.airfields||{}).map(([icao,a])=>[icao,{
+      headings:parseRunways(a?.runways),
+      elevation:Number.isFinite(a?.elevation) ? a.elevation : null,
+    }])
+  ),[settings.airfields]);
+  const mins = useMemo(
+    ()=>({ ceiling:settings.minCeiling, visibility:settings.minVisibility }),
+    [settings.minCeiling,settings.minVisibility]
+  );
+  const enrichMetar = useCallback((r,icao)=>{
+    const decoded = decodeMetar(r.raw_data);
+    const rec = { ...r, station:icao, decoded };
+    const field = airfields[icao];
+    return {
+      ...rec,
+      xwind:crosswind(decoded.wind,field?.headings),
+      belowMins:belowMinimums(r,mins),
+      fog:fogRisk(rec),
+      icing:icingRisk(rec),
+      da:densityAltitude(decoded.temp ?? r.temp_C,decoded.altimeter,field?.elevation ?? null),
+    };
+  },[airfields,mins]);
+  const stationRecords = useMemo(()=>Object.fromEntries(
+    Object.entries(metarFiles).map(([icao,f])=>[icao,f.records.map(r=>enrichMetar(r,icao))])
+  ),[metarFiles,enrichMetar]);
+  const metarRecords = stationRecords[station] || NO_RECORDS;
+
+  // Hourly METAR lookup for the strips (routine report per hour), the
+  // specials drawn as markers, and the hours with no report at all
+  const { hours:metarLookup, specials:metarSpecials } = useMemo(
+    ()=>hourlyLookup(metarRecords,routineMinute(metarRecords)),[metarRecords]
+  );
+  const metarCoverage = useMemo(()=>coverage(metarRecords),[metarRecords]);
+  const outages = useMemo(()=>longestOutages(metarRecords,STALE_MIN),[metarRecords]);
+
+  // Forecast categories for the selected station, hour by hour, and how
+  // they compared with the observations
+  const forecast = useMemo(()=>forecastLookup(tafData,station),[tafData,station]);
+  const tafAccuracy = useMemo(()=>forecastAccuracy(forecast,metarLookup),[forecast,metarLookup]);
+
+  // Weather in effect minute by minute per station, specials included
+  const timelines = useMemo(()=>Object.fromEntries(
+    Object.entries(stationRecords).map(([icao,recs])=>[icao,buildTimeline(recs)])
+  ),[stationRecords]);
+  const timeline = timelines[station] || NO_RECORDS;
+
+  // Flight segments from both activity formats: blocksByDate wins, the
+  // state-tracked file fills in airports and flights it alone saw
+  const segments = useMemo(
+    ()=>mergeSegments(segmentsFromBlocks(data),segmentsFromTracked(tracked)),
+    [data,tracked]
+  );
+  const segIndex = useMemo(()=>indexSegments(segments),[segments]);
+
+  // Each segment's weather over its actual span (see weatherInEffect.js).
+  // By route, an airport without its own station file leaves that end
+  // unresolved (listed in noData, by station or, when the label has no code,
+  // as given); an end with no airport at all is judged at the selected station.
+  const segWeather = useMemo(()=>new Map(segments.map(seg=>{
+    if(!wxAtRoute) return [seg,blockWeather(timeline,seg)];
+    const end=ap=>(ap ? timelines[icaoCode(ap)]||null : timeline);
+    const dep=end(seg.from), arr=end(seg.to);
+    const noData=[...new Set([[seg.from,dep],[seg.to,arr]].filter(([,t])=>!t).map(([ap])=>icaoCode(ap)||ap))];
+    return [seg,{...routeWeather(dep,arr,seg),noData}];
+  })),[segments,timeline,timelines,wxAtRoute]);
+
+  // Test segment vs category: in effect at any time during the block, the
+  // block's worst category, or the category at departure. NO_METAR matches
+  // blocks the mode has no category for; any time during a block with an
+  // unresolved end, that includes the end's unknown weather.
+  const segHasCategory = useCallback((seg,cat)=>{
+    const wx=segWeather.get(seg);
+    if(!wx) return cat===NO_METAR;
+    if(cat===NO_METAR)
+      return catMode==='departure' ? wx.atDeparture==null
+           : catMode==='worst'     ? wx.worst==null
+           : !!wx.noData?.length || !wx.obs.some(r=>r.flight_category);
+    if(cat===BELOW_MINS)
+      return catMode==='departure' ? !!wx.departure?.belowMins : wx.obs.some(r=>r.belowMins);
+    if(catMode==='worst')     return wx.worst===cat;
+    if(catMode==='departure') return wx.atDeparture===cat;
+    return wx.obs.some(r=>r.flight_category===cat);
+  },[segWeather,catMode]);
+
+  // Strongest crosswind (kt) reported while a segment was flying
+  const segMaxCrosswind = useCallback(seg=>
+    (segWeather.get(seg)?.obs||[]).reduce((max,r)=>Math.max(max,r.xwind?.cross||0),0),
+  [segWeather]);
+
+  // Date range: a preset over the data's extent, or custom (kept inside
+  // the extent when other data is loaded)
+  const extent = useMemo(
+    ()=>dataExtent(segments,metarData)||fallbackExtent(),[segments,metarData]
+  );
+  const range = useMemo(
+    ()=>preset==='custom'&&custom ? clampRange(custom,extent) : presetRange(preset,extent),
+    [preset,custom,extent]
+  );
+  const setRangeEnd = (k,v) => {
+    if(!v) return;
+    const next = {...range,[k]:v};
+    if(next.start>next.end) return;
+    setCustom(next);
+    setPreset('custom');
+  };
 
-  // METAR lookup
-  const metarLookup = useMemo(()=>{
-    const m = {};
-    metarData.forEach(r=>{
-      const key = r.local_time.slice(0,10);
-      const hr  = new Date(r.local_time).getHours();
-      (m[key] = m[key]||{})[hr] = r;
-    });
-    return m;
-  },[]);
-
-  // Test block vs category
-  const blockHasCategory = useCallback((date,st,et,cat)=>{
-    let sh=+st.slice(0,2), sm=+st.slice(2), sMin=sh*60+sm;
-    let eh=+et.slice(0,2), em=+et.slice(2), eMin=eh*60+em;
-    if(eMin<=sMin) eMin+=1440;
-    for(let t=sMin;t<eMin;t+=60){
-      let hr=Math.floor(t/60);
-      let dKey=date.toISOString().slice(0,10);
-      if(hr>=24){
-        const nd=new Date(date);
-        nd.setDate(nd.getDate()+1);
-        dKey=nd.toISOString().slice(0,10);
-        hr%=24;
-      }
-      const rec=metarLookup[dKey]?.[hr];
-      if(rec?.flight_category===cat) return true;
-    }
-    return false;
-  },[metarLookup]);
+  // Aircraft shown as rows: anything on the line during the date range
+  const fleet = useMemo(()=>fleetInRange(FLEET,range.start,range.end),[range]);
 
   // Category counts
   const categoryCounts = useMemo(()=>{
-    const cnt = {LIFR:0,IFR:0,MVFR:0,VFR:0};
-    tailsOrder.forEach(tail=>{
-      if(!visible[tail]) return;
-      Object.entries(data[tail].blocksByDate).forEach(([dKey,blocks])=>{
-        const date=new Date(dKey);
-        blocks.forEach(([st,et])=>{
+    const cnt = Object.fromEntries(CATEGORIES.map(c=>[c,0]));
+    fleet.forEach(ac=>{
+      const tail=ac.tail;
+      if(!visible[tail]||!segIndex[tail]) return;
+      Object.entries(segIndex[tail]).forEach(([dKey,segs])=>{
+        if(!isActiveOn(ac,dKey)||!inRange(range,dKey)) return;
+        segs.forEach(seg=>{
+          if(routeFilter!=='all' && seg.kind!==routeFilter) return;
           Object.keys(cnt).forEach(cat=>{
-            if(blockHasCategory(date,st,et,cat)) cnt[cat]++;
+            if(segHasCategory(seg,cat)) cnt[cat]++;
           });
         });
       });
     });
     return cnt;
-  },[visible,blockHasCategory]);
+  },[segIndex,fleet,range,visible,routeFilter,segHasCategory]);
+
+  // Data-quality report; activity outside the METAR record is flagged
+  const qualityReport = useMemo(()=>validateActivity(data,{
+    tails: FLEET.map(ac=>ac.tail),
+    ...dataExtent(null,metarData),
+  }),[data,metarData]);
 
   // Weeks array
-  const weeks = useMemo(()=>buildWeeks(START_DATE,END_DATE),[]);
-
-  // Render aircraft blocks
-  function renderBlocks(tail,date){
-    const key    = date.toISOString().slice(0,10);
-    const blocks = data[tail].blocksByDate[key]||[];
-    return blocks.map(([st,et],i)=>{
-      if(!Object.entries(catFilters).some(([c,on])=>on&&blockHasCategory(date,st,et,c)))
-        return null;
-      let sh=+st.slice(0,2), sm=+st.slice(2), sH=sh+sm/60;
-      let eh=+et.slice(0,2), em=+et.slice(2), eH=eh+em/60;
-      if(eH<=sH) eH+=24;
-      return (
-        <div key={i}
-             title={`${tail} ${date.toLocaleDateString()} ${st}–${et}`}
-             style={{
-               position:'absolute',
-               left:  `${sH * hourPx}px`,
-               width: `${(eH - sH) * hourPx}px`,
-               height:'100%',
-               backgroundColor: tailColors[tail]
-             }}/>
-      );
+  const weeks = useMemo(
+    ()=>buildWeeks(keyToDate(range.start),keyToDate(range.end)),[range]
+  );
+
+  // Dawn/sunrise/sunset/dusk (minutes of the day) for every day shown
+  const sunByDay = useMemo(()=>{
+    const m = {};
+    weeks.flat().forEach(d=>{
+      const k=dayKey(d);
+      m[k]=sunMinutes(k,settings.siteLat,settings.siteLon);
+    });
+    return m;
+  },[weeks,settings.siteLat,settings.siteLon]);
+
+  // Set-aside rows by tail → day
+  const rawMarkers = useMemo(()=>{
+    const m = {};
+    Object.entries(data||{}).forEach(([tail,rec])=>{
+      RAW_KINDS.forEach(kind=>{
+        (Array.isArray(rec[kind])?rec[kind]:[]).forEach(row=>{
+          const span=recordSpan(row);
+          if(!span.dKey) return;
+          ((m[tail]=m[tail]||{})[span.dKey]=m[tail][span.dKey]||[]).push({kind,row,...span});
+        });
+      });
+    });
+    return m;
+  },[data]);
+
+  // Segments passing the aircraft/date/route/category filters: tail → day → [seg]
+  const shownSegs = useMemo(()=>{
+    const out = {};
+    fleet.forEach(ac=>{
+      const t=ac.tail;
+      if(!visible[t]) return;
+      Object.entries(segIndex[t]||{}).forEach(([dKey,segs])=>{
+        if(!isActiveOn(ac,dKey)||!inRange(range,dKey)) return;
+        const keep=segs.filter(seg=>
+          (routeFilter==='all'||seg.kind===routeFilter) &&
+          Object.entries(catFilters).some(([c,on])=>on&&segHasCategory(seg,c)) &&
+          (!xwindMin||segMaxCrosswind(seg)>xwindMin) &&
+          (riskFilter==='all'||(segWeather.get(seg)?.obs||[]).some(r=>r[riskFilter]))
+        );
+        if(keep.length) (out[t]=out[t]||{})[dKey]=keep;
+      });
     });
-  }
+    return out;
+  },[fleet,visible,segIndex,range,routeFilter,catFilters,segHasCategory,xwindMin,segMaxCrosswind,
+      riskFilter,segWeather]);
+
+  // Totals over the blocks shown: count, minutes, night minutes
+  const shownTotals = useMemo(()=>{
+    const tot = { blocks:0, minutes:0, night:0 };
+    Object.values(shownSegs).forEach(days=>Object.entries(days).forEach(([dKey,segs])=>{
+      segs.forEach(seg=>{
+        tot.blocks++;
+        tot.minutes+=seg.eMin-seg.sMin;
+        if(sunByDay[dKey]) tot.night+=dayNightMinutes(seg,sunByDay[dKey]).night;
+      });
+    }));
+    return tot;
+  },[shownSegs,sunByDay]);
+
+  // Visible aircraft in use per 15 minutes when that row is on. Every block
+  // counts: an aircraft out on a filtered-away flight is still busy.
+  const busyByDay = useMemo(
+    ()=>showBusy ? fleetBusy(segIndex,fleet.filter(ac=>visible[ac.tail]),rangeDays(range)) : null,
+    [showBusy,segIndex,fleet,visible,range]
+  );
+  const booked = useMemo(()=>busyByDay && fullyBooked(busyByDay),[busyByDay]);
+
+  // Flyable time (VFR/MVFR, daylight, operating window) per day, and how
+  // much of it each aircraft spent on the ground; only worked out while the
+  // Unused weather view or the calendar layer is showing
+  const opWindow = useMemo(
+    ()=>availableWindow(settings.availableFrom,settings.availableTo),
+    [settings.availableFrom,settings.availableTo]
+  );
+  const needUnused = view==='unused' || (view==='calendar' && showUnused);
+  const unused = useMemo(()=>{
+    if(!needUnused) return null;
+    const days = rangeDays(range);
+    const flyable = Object.fromEntries(days.map(k=>[k,flyableSpans(timeline,k,sunByDay[k],opWindow)]));
+    return unusedFlyable(segIndex,fleet,days,flyable);
+  },[needUnused,range,timeline,sunByDay,opWindow,segIndex,fleet]);
+  const shownIdle = useMemo(()=>{
+    if(!showUnused||!unused) return null;
+    const out = {};
+    Object.keys(unused.spans).forEach(t=>{ if(visible[t]) out[t]=unused.spans[t]; });
+    return out;
+  },[showUnused,unused,visible]);
+
+  // Set-aside rows for visible aircraft when that layer is on
+  const shownRaw = useMemo(()=>{
+    if(!showRaw) return {};
+    const out = {};
+    Object.keys(rawMarkers).forEach(t=>{ if(visible[t]) out[t]=rawMarkers[t]; });
+    return out;
+  },[showRaw,rawMarkers,visible]);
+
+  // Temperature scale from settings (thresholds in °C)
+  const unit = settings.tempUnit;
+  const tempScale = useMemo(()=>({
+    stops: validStops(settings.tempStops) ? settings.tempStops : DEFAULT_TEMP_STOPS,
+    gradient: settings.tempScale==='gradient',
+  }),[settings.tempStops,settings.tempScale]);
+
+  // METAR strips under the aircraft rows; switched-off strips take no row
+  const strips = useMemo(()=>[
+    { id:'cat',  on:showFlightCat,
+      color:rec=>flightCategoryColor[rec.flight_category],
+      title:rec=>`${rec.local_time}: ${rec.flight_category}\n${summarizeMetar(rec.decoded)}`+
+                 ` · ${densityAltitudeText(rec.da)}\n${rec.raw_data}` },
+    { id:'taf',  on:showTaf&&!!tafData, lookup:forecast,
+      color:rec=>flightCategoryColor[rec.category]||'transparent',
+      title:rec=>`${rec.local_time.slice(0,13)}Z forecast: ${rec.category}`+
+                 (rec.tempo ? ` (TEMPO/PROB ${rec.tempo})` : '')+
+                 `\nIssued ${rec.issued.toISOString().slice(0,16)}Z\n${rec.raw_data}` },
+    { id:'temp', on:showTemp,
+      color:rec=>tempToColor(rec.temp_C,tempScale),
+      title:rec=>`${rec.local_time}: ${formatTemp(rec.temp_C,unit)} / ${formatTemp(rec.dewpoint_C,unit)}` },
+    { id:'wind', on:showWind,
+      color:rec=>crosswindColor(rec.xwind),
+      title:rec=>{
+        const xw=rec.xwind;
+        if(!airfields[rec.station]?.headings.length) return `${rec.local_time}: no runways set for ${rec.station}`;
+        if(!xw) return `${rec.local_time}: no wind reported`;
+        return `${rec.local_time}: ${windText(rec.decoded.wind)}\n`+
+               `Rwy ${xw.runway}: ${xw.cross} kt crosswind, ${xw.head} kt headwind`+
+               (xw.gustFactor ? `\nGust factor ${xw.gustFactor} kt (${xw.gustCross} kt crosswind in gusts)` : '');
+      } },
+    { id:'ceil', on:showCeiling,
+      color:rec=>ceilingColor(rec,mins.ceiling),
+      title:rec=>`${rec.local_time}: ${ceilingText(rec,mins.ceiling)}` },
+    { id:'vis',  on:showVis,
+      color:rec=>visibilityColor(rec,mins.visibility),
+      title:rec=>`${rec.local_time}: ${visibilityText(rec,mins.visibility)}` },
+    { id:'mins', on:showMins,
+      color:rec=>rec.belowMins==null ? 'transparent' : rec.belowMins ? categoryColor[BELOW_MINS] : '#8BC34A',
+      title:rec=>`${rec.local_time}: ${rec.belowMins ? 'below' : 'at or above'} personal minimums\n`+
+                 `${ceilingText(rec,mins.ceiling)}\n${visibilityText(rec,mins.visibility)}` },
+    { id:'risk', on:showRisk,
+      color:riskColor,
+      title:rec=>`${rec.local_time}: ${riskText(rec,unit)}` },
+    { id:'da',   on:showDA,
+      color:rec=>densityAltitudeColor(rec.da,settings.daThreshold),
+      title:rec=>`${rec.local_time}: ${densityAltitudeText(rec.da)} (highlight at ${settings.daThreshold} ft)\n`+
+                 `${formatTemp(rec.temp_C,unit)}, A${rec.decoded.altimeter?.toFixed(2) ?? '?'}, `+
+                 (airfields[rec.station]?.elevation==null ? `no field elevation set for ${rec.station}`
+                                                          : `field ${airfields[rec.station].elevation} ft`) },
+  ].filter(s=>s.on),[showFlightCat,showTemp,showWind,showCeiling,showVis,showMins,showRisk,showDA,mins,
+                     settings.daThreshold,airfields,unit,tempScale,showTaf,tafData,forecast]);
+
+  // Only the weeks near the viewport are mounted
+  const gridRef = useRef(null);
+  const weekH   = weekHeight(fleet.length,strips.length,hourPx,showBusy);
+  const { first, last } = useVirtualRows(gridRef,weekH,weeks.length);
 
   // Draggable panel
   const boxRef    = useRef(null);
@@ -215,248 +511,414 @@ export default function App(){
     <div style={{padding:20,fontFamily:'sans-serif'}}>
       <h2>Condair Flyers Aircraft Activity</h2>
 
-      {/* Zoom */}
-      <div style={{marginBottom:16}}>
+      {/* Data sources */}
+      <DataLoader sources={allSources} defaults={DEFAULT_URLS} onLoaded={onLoaded}/>
+      {!data && (
+        <div style={{marginBottom:16,color:'#666',fontStyle:'italic'}}>
+          No activity data loaded yet — the calendar fills in once a file arrives.
+        </div>
+      )}
+
+      {/* Date range */}
+      <div style={{marginBottom:16,display:'flex',gap:8,alignItems:'center',fontSize:12}}>
         <label>
-          Zoom:&nbsp;
-          <input type="range" min="2" max="8" step="2"
-                 value={hourPx}
-                 onChange={e=>setHourPx(+e.target.value)}/>
-          &nbsp;{hourPx}px/hour
+          Range:&nbsp;
+          <select value={preset} onChange={e=>{
+            if(e.target.value==='custom') setCustom(range);
+            setPreset(e.target.value);
+          }}>
+            {PRESETS.map(([id,label])=><option key={id} value={id}>{label}</option>)}
+          </select>
+        </label>
+        <input type="date" value={range.start} min={extent.start} max={range.end}
+               onChange={e=>setRangeEnd('start',e.target.value)}/>
+        –
+        <input type="date" value={range.end} min={range.start} max={extent.end}
+               onChange={e=>setRangeEnd('end',e.target.value)}/>
+        <label style={{marginLeft:16}}>
+          Weather station:&nbsp;
+          <select value={station||''} disabled={!stations.length}
+                  onChange={e=>setStationPick(e.target.value)}>
+            {!stations.length && <option value="">none loaded</option>}
+            {stations.map(icao=><option key={icao} value={icao}>{icao}</option>)}
+          </select>
+        </label>
+        <label title="Judge each block against the METAR at its origin and destination; airports without a loaded station count as no data, blocks with no airports use the selected station">
+          <input type="checkbox" checked={wxAtRoute} onChange={e=>setWxAtRoute(e.target.checked)}/>
+          Weather at origin &amp; destination
         </label>
       </div>
 
-      {/* Weekday header */}
-      <div style={{
-        display:'grid',
-        gridTemplateColumns:`repeat(7, ${DAY_WIDTH}px)`,
-        marginBottom:4,
-        fontWeight:'bold',
-        textAlign:'center'
-      }}>
-        {['Mon','Tue','Wed','Thu','Fri','Sat','Sun'].map(d=>
-          <div key={d}>{d}</div>
-        )}
+      {/* View switcher */}
+      <div style={{marginBottom:16,display:'flex',gap:6}}>
+        {VIEWS.map(([id,label])=>(
+          <button key={id} onClick={()=>setView(id)} style={{
+            padding:'4px 10px',
+            background:view===id?'#555':'#EEE',
+            color:view===id?'#FFF':'#000',
+            border:'1px solid #CCC',cursor:'pointer'
+          }}>{label}</button>
+        ))}
       </div>
 
-      {/* Chart + overlays + panel */}
-      <div style={{position:'relative'}}>
-        <div style={{overflowX:'auto',position:'relative'}}>
-
-          {/* Tick labels */}
-          <div style={{
-            position:'absolute', top:0, left:0,
-            width:`${7 * DAY_WIDTH}px`,
-            height:`${BADGE_ROW_HEIGHT}px`,
-            pointerEvents:'none',
-            zIndex:1
-          }}>
-            {(() => {
-              const L=[];
-              for(let d=0; d<7; d++){
-                HOURS.forEach(h=>{
-                  L.push(
-                    <span key={`lab-${d}-${h}`} style={{
-                      position:'absolute',
-                      left: `${d*DAY_WIDTH + h*hourPx}px`,
-                      top: 0,
-                      fontSize:8,
-                      color:'#666'
-                    }}>
-                      {String(h).padStart(2,'0')}
-                    </span>
-                  );
-                });
-              }
-              return L;
-            })()}
-          </div>
+      {view==='utilization' && (
+        <UtilizationView segIndex={segIndex} fleet={fleet} range={range} tailColors={tailColors}
+                         availableFrom={settings.availableFrom} availableTo={settings.availableTo}/>
+      )}
+
+      {view==='demand' && (
+        <DemandView segIndex={segIndex} fleet={fleet} range={range}
+                    categories={CATEGORY_OPTIONS} segHasCategory={segHasCategory}/>
+      )}
+
+      {view==='unused' && (
+        <UnusedView unused={unused} fleet={fleet} range={range} tailColors={tailColors}
+                    win={opWindow}
+                    siteName={settings.siteName} hasMetar={metarRecords.length>0}/>
+      )}
+
+      {view==='quality' && (
+        <DataQuality data={data} report={qualityReport} tailColors={tailColors}/>
+      )}
+
+      {view==='settings' && (
+        <SettingsView settings={settings} onChange={updateSetting} stations={stations}/>
+      )}
+
+      {view==='calendar' && <>
+        {/* Zoom */}
+        <div style={{marginBottom:16}}>
+          <label>
+            Zoom:&nbsp;
+            <input type="range" min="2" max="8" step="2"
+                   value={hourPx}
+                   onChange={e=>setHourPx(+e.target.value)}/>
+            &nbsp;{hourPx}px/hour
+          </label>
+        </div>
 
-          {/* Tick lines */}
-          <div style={{
-            position:'absolute', top:0, left:0,
-            width:`${7 * DAY_WIDTH}px`,
-            height:'100%',
-            pointerEvents:'none',
-            zIndex:1
-          }}>
-            {(() => {
-              const L=[];
-              for(let d=0; d<7; d++){
-                HOURS.forEach(h=>{
-                  L.push(
-                    <div key={`ln-${d}-${h}`} style={{
-                      position:'absolute',
-                      left: `${d*DAY_WIDTH + h*hourPx}px`,
-                      top: 0,
-                      width:1,
-                      height:'100%',
-                      backgroundColor:'#CCC'
-                    }}/>
-                  );
-                });
-              }
-              return L;
-            })()}
+        {/* Weekday header */}
+        <div style={{
+          display:'grid',
+          gridTemplateColumns:`repeat(7, ${DAY_WIDTH}px)`,
+          marginBottom:4,
+          fontWeight:'bold',
+          textAlign:'center'
+        }}>
+          {['Mon','Tue','Wed','Thu','Fri','Sat','Sun'].map(d=>
+            <div key={d}>{d}</div>
+          )}
+        </div>
+
+        {/* Chart + overlays + panel */}
+        <div style={{position:'relative'}}>
+          <div style={{overflowX:'auto',position:'relative'}}>
+
+            {/* Tick labels */}
+            <div style={{
+              position:'absolute', top:0, left:0,
+              width:`${7 * DAY_WIDTH}px`,
+              height:`${BADGE_ROW_HEIGHT}px`,
+              pointerEvents:'none',
+              zIndex:1
+            }}>
+              {(() => {
+                const L=[];
+                for(let d=0; d<7; d++){
+                  HOURS.forEach(h=>{
+                    L.push(
+                      <span key={`lab-${d}-${h}`} style={{
+                        position:'absolute',
+                        left: `${d*DAY_WIDTH + h*hourPx}px`,
+                        top: 0,
+                        fontSize:8,
+                        color:'#666'
+                      }}>
+                        {String(h).padStart(2,'0')}
+                      </span>
+                    );
+                  });
+                }
+                return L;
+              })()}
+            </div>
+
+            {/* Tick lines */}
+            <div style={{
+              position:'absolute', top:0, left:0,
+              width:`${7 * DAY_WIDTH}px`,
+              height:'100%',
+              pointerEvents:'none',
+              zIndex:1
+            }}>
+              {(() => {
+                const L=[];
+                for(let d=0; d<7; d++){
+                  HOURS.forEach(h=>{
+                    L.push(
+                      <div key={`ln-${d}-${h}`} style={{
+                        position:'absolute',
+                        left: `${d*DAY_WIDTH + h*hourPx}px`,
+                        top: 0,
+                        width:1,
+                        height:'100%',
+                        backgroundColor:'#CCC'
+                      }}/>
+                    );
+                  });
+                }
+                return L;
+              })()}
+            </div>
+
+            {/* Chart grid (virtualised) */}
+            <div ref={gridRef} style={{marginTop:BADGE_ROW_HEIGHT}}>
+              <div style={{height:first*weekH}}/>
+              {weeks.slice(first,last).map(week=>(
+                <WeekRow key={dayKey(week[0])}
+                         week={week}
+                         range={range}
+                         fleet={fleet}
+                         segs={shownSegs}
+                         raw={shownRaw}
+                         weather={segWeather}
+                         metarLookup={metarLookup}
+                         metarSpecials={metarSpecials}
+                         metarMissing={metarCoverage.missing}
+                         sun={sunByDay}
+                         showNight={showNight}
+                         strips={strips}
+                         renderer={settings.metarRenderer}
+                         hourPx={hourPx}
+                         showRoutes={showRoutes}
+                         tailColors={tailColors}
+                         busy={busyByDay}
+                         idle={shownIdle}/>
+              ))}
+              <div style={{height:(weeks.length-last)*weekH}}/>
+            </div>
           </div>
 
-          {/* Chart grid */}
-          <div style={{marginTop:BADGE_ROW_HEIGHT}}>
-            {weeks.map((week,wi)=>(
-              <div key={wi} style={{
-                display:'grid',
-                gridTemplateColumns:`repeat(7, ${DAY_WIDTH}px)`,
-                gridTemplateRows:
-                  `${BADGE_ROW_HEIGHT}px ` +
-                  `repeat(3, ${AC_ROW_H}px) ` +
-                  `2px ` +
-                  `${METAR_ROW_H}px ${METAR_ROW_H}px`,
-                position:'relative',
-                marginBottom:2,
-                borderBottom:'1px solid #DDD'
-              }}>
-                {week.map((d,di)=>(
-                  <div key={di} style={{
-                    gridRowStart:1,
-                    background:getBg(d),
-                    fontSize:8,
-                    lineHeight:`${BADGE_ROW_HEIGHT}px`,
-                    position:'relative'
-                  }}>
-                    {formatBadge(d)}
-                  </div>
+          {/* Draggable Tabs Panel */}
+          <div ref={boxRef} style={{
+            position:'fixed',
+            border:'1px solid #CCC',
+            borderRadius:4,
+            background:'#FFF',
+            width:200,
+            zIndex:1000,
+            ...boxStyle
+          }}>
+            {/* Grab Handle */}
+            <div ref={handleRef} onPointerDown={onPointerDown}
+                 style={{
+                   cursor:'grab',
+                   background:'#F0F0F0',
+                   borderBottom:'1px solid #CCC',
+                   padding:'6px',
+                   fontSize:10,
+                   textAlign:'center',
+                   userSelect:'none'
+                 }}>
+              Grab in this area to move the box
+              <hr style={{margin:'4px 8px',borderColor:'#CCC'}}/>
+              Use tabs to show/hide layers & filter by flight category
+            </div>
+            <div style={{padding:8,maxHeight:'80vh',overflowY:'auto'}}>
+              {fleet.map(ac=>(
+                <button key={ac.tail} onClick={()=>toggleAC(ac.tail)}
+                        title={[ac.tail,ac.type].filter(Boolean).join(' · ')}
+                        style={{
+                  display:'block',margin:'6px 0',
+                  padding:'6px',width:'100%',
+                  background:visible[ac.tail]?ac.color:'#CCC',
+                  color:'#FFF',border:'none',cursor:'pointer'
+                }}>{ac.name}</button>
+              ))}
+              <div style={{fontSize:11,margin:'4px 0'}}
+                   title={`Night: end of evening to start of morning civil twilight at ${settings.siteName}`}>
+                {shownTotals.blocks} blocks · {(shownTotals.minutes/60).toFixed(1)} h
+                &nbsp;(night {(shownTotals.night/60).toFixed(1)} h)
+              </div>
+              <button onClick={()=>setShowBusy(f=>!f)} style={{
+                display:'block',margin:'6px 0',
+                padding:'6px',width:'100%',
+                background:showBusy?'#555':'#CCC',
+                color:'#FFF',border:'none',cursor:'pointer'
+              }}>Fleet Busy</button>
+              <button onClick={()=>setShowUnused(f=>!f)}
+                      title="Flyable time (VFR/MVFR, daylight, operating window) each aircraft sat on the ground"
+                      style={{
+                display:'block',margin:'6px 0',
+                padding:'6px',width:'100%',
+                background:showUnused?'#555':'#CCC',
+                color:'#FFF',border:'none',cursor:'pointer'
+              }}>Unused Flyable</button>
+              {booked && (
+                <div style={{fontSize:11,margin:'4px 0'}}
+                     title="Time every visible aircraft on the line was in use, in 15-minute steps">
+                  Fleet fully booked: {(booked.minutes/60).toFixed(1)} h on {booked.days} day{booked.days===1?'':'s'}
+                </div>
+              )}
+              <button onClick={()=>setShowFlightCat(f=>!f)} style={{
+                display:'block',margin:'6px 0',
+                padding:'6px',width:'100%',
+                background:showFlightCat?'#555':'#CCC',
+                color:'#FFF',border:'none',cursor:'pointer'
+              }}>Flight Category</button>
+              <div style={{display:'flex',margin:'4px 0'}}
+                   title="Match a block's category any time during it, by its worst, or at departure">
+                {CAT_MODES.map(([id,label])=>(
+                  <button key={id} onClick={()=>setCatMode(id)} style={{
+                    flex:1,padding:'4px 2px',fontSize:10,
+                    background:catMode===id?'#555':'#CCC',
+                    color:'#FFF',border:'none',cursor:'pointer'
+                  }}>{label}</button>
                 ))}
-
-                {tailsOrder.map((t,ti)=>
-                  week.map((d,di)=>(
-                    <div key={`${t}-${di}`} style={{
-                      gridRowStart:ti+2,
-                      position:'relative',
-                      background:getBg(d)
-                    }}>
-                      {visible[t] && renderBlocks(t,d)}
-                    </div>
-                  ))
-                )}
-
-                <div style={{gridRowStart:5}}/>
-
-                {week.map((d,di)=>{
-                  const recs=metarLookup[d.toISOString().slice(0,10)]||{};
-                  return (
-                    <div key={di} style={{
-                      gridRowStart:6,
-                      position:'relative',
-                      background:getBg(d)
-                    }}>
-                      {showFlightCat && Object.values(recs).map(rec=>{
-                        const h=new Date(rec.local_time).getHours();
-                        return (
-                          <div key={rec.local_time}
-                               title={`${rec.local_time}: ${rec.flight_category}\n${rec.raw_data}`}
-                               style={{
-                                 position:'absolute',
-                                 left:`${h*hourPx}px`,
-                                 width:`${hourPx}px`,
-                                 height:'100%',
-                                 backgroundColor:flightCategoryColor[rec.flight_category]
-                               }}/>
-                        );
-                      })}
-                    </div>
-                  );
-                })}
-
-                {week.map((d,di)=>{
-                  const recs=metarLookup[d.toISOString().slice(0,10)]||{};
-                  return (
-                    <div key={di} style={{
-                      gridRowStart:7,
-                      position:'relative',
-                      background:getBg(d)
-                    }}>
-                      {showTemp && Object.values(recs).map(rec=>{
-                        const h=new Date(rec.local_time).getHours();
-                        return (
-                          <div key={rec.local_time}
-                               title={`${rec.local_time}: ${rec.temp_C}°C / ${rec.dewpoint_C}°C`}
-                               style={{
-                                 position:'absolute',
-                                 left:`${h*hourPx}px`,
-                                 width:`${hourPx}px`,
-                                 height:'100%',
-                                 backgroundColor:tempToColor(rec.temp_C)
-                               }}/>
-                        );
-                      })}
+              </div>
+              {CATEGORIES.map(cat=>(
+                <button key={cat} onClick={()=>toggleCat(cat)} style={{
+                  display:'flex',justifyContent:'space-between',
+                  margin:'4px 0',padding:'4px 8px',width:'100%',
+                  background:catFilters[cat]?categoryColor[cat]:'#CCC',
+                  color:'#FFF',border:'none',cursor:'pointer'
+                }}>
+                  <span>{CATEGORY_LABEL[cat]||cat}</span><span>{categoryCounts[cat]}</span>
+                </button>
+              ))}
+              <button onClick={()=>setShowTaf(t=>!t)}
+                      title="Hourly forecast category from the TAFs for the selected station"
+                      style={{
+                display:'block',margin:'6px 0',
+                padding:'6px',width:'100%',
+                background:showTaf?'#555':'#CCC',
+                color:'#FFF',border:'none',cursor:'pointer'
+              }}>Forecast (TAF)</button>
+              {showTaf && (
+                <div style={{fontSize:10}}>
+                  {!tafData && <div style={{color:'#666'}}>No TAF file loaded</div>}
+                  {tafData && tafAccuracy.length===0 &&
+                    <div style={{color:'#666'}}>No forecast hours overlap the {station||''} METARs</div>}
+                  {tafAccuracy.length>0 && <div style={{fontWeight:'bold'}}>Forecast hit rate</div>}
+                  {tafAccuracy.map(m=>(
+                    <div key={m.month} style={{display:'flex',justifyContent:'space-between'}}
+                         title={`${m.hits} of ${m.hours} hours exact, ${m.within1} within one category`}>
+                      <span>{m.month}</span>
+                      <span>{m.pct.toFixed(0)}% ({(100*m.within1/m.hours).toFixed(0)}% ±1)</span>
                     </div>
-                  );
-                })}
-
+                  ))}
+                </div>
+              )}
+              <button onClick={()=>setShowTemp(t=>!t)} style={{
+                display:'block',margin:'6px 0',
+                padding:'6px',width:'100%',
+                background:showTemp?'#555':'#CCC',
+                color:'#FFF',border:'none',cursor:'pointer'
+              }}>Temperature</button>
+              {showTemp && <TempLegend stops={tempScale.stops} gradient={tempScale.gradient} unit={unit}/>}
+              <button onClick={()=>setShowWind(w=>!w)} style={{
+                display:'block',margin:'6px 0',
+                padding:'6px',width:'100%',
+                background:showWind?'#555':'#CCC',
+                color:'#FFF',border:'none',cursor:'pointer'
+              }}>Crosswind</button>
+              <label style={{display:'flex',justifyContent:'space-between',alignItems:'center',fontSize:11,margin:'4px 0'}}
+                     title="Only blocks flown while the best-runway crosswind exceeded this (0 = off)">
+                <span>
+                  Crosswind &gt;&nbsp;
+                  <input type="number" min="0" max="40" value={xwindMin} style={{width:36}}
+                         onChange={e=>setXwindMin(Math.max(0,+e.target.value||0))}/>
+                  &nbsp;kt
+                </span>
+                {xwindMin>0 && <span>{shownTotals.blocks}</span>}
+              </label>
+              {[['Ceiling',showCeiling,setShowCeiling],
+                ['Visibility',showVis,setShowVis],
+                ['Personal Minimums',showMins,setShowMins],
+                ['Fog & Icing Risk',showRisk,setShowRisk]].map(([label,on,set])=>(
+                <button key={label} onClick={()=>set(v=>!v)} style={{
+                  display:'block',margin:'6px 0',
+                  padding:'6px',width:'100%',
+                  background:on?'#555':'#CCC',
+                  color:'#FFF',border:'none',cursor:'pointer'
+                }}>{label}</button>
+              ))}
+              <div style={{display:'flex',margin:'6px 0'}}
+                   title={`Only blocks flown with fog (small temp–dewpoint spread) or icing (moisture at ${formatTemp(ICING_MAX,unit)} `+
+                          `to ${formatTemp(ICING_MIN,unit)}) risk in effect`}>
+                {RISK_FILTERS.map(([id,label])=>(
+                  <button key={id} onClick={()=>setRiskFilter(id)} style={{
+                    flex:1,padding:'4px 2px',fontSize:10,
+                    background:riskFilter===id?'#555':'#CCC',
+                    color:'#FFF',border:'none',cursor:'pointer'
+                  }}>{label}</button>
+                ))}
               </div>
-            ))}
-          </div>
-        </div>
-
-        {/* Draggable Tabs Panel */}
-        <div ref={boxRef} style={{
-          position:'fixed',
-          border:'1px solid #CCC',
-          borderRadius:4,
-          background:'#FFF',
-          width:200,
-          zIndex:1000,
-          ...boxStyle
-        }}>
-          {/* Grab Handle */}
-          <div ref={handleRef} onPointerDown={onPointerDown}
-               style={{
-                 cursor:'grab',
-                 background:'#F0F0F0',
-                 borderBottom:'1px solid #CCC',
-                 padding:'6px',
-                 fontSize:10,
-                 textAlign:'center',
-                 userSelect:'none'
-               }}>
-            Grab in this area to move the box
-            <hr style={{margin:'4px 8px',borderColor:'#CCC'}}/>
-            Use tabs to show/hide layers & filter by flight category
-          </div>
-          <div style={{padding:8}}>
-            {tailsOrder.map(t=>(
-              <button key={t} onClick={()=>toggleAC(t)} style={{
+              <button onClick={()=>setShowDA(d=>!d)} style={{
+                display:'block',margin:'6px 0',
+                padding:'6px',width:'100%',
+                background:showDA?'#555':'#CCC',
+                color:'#FFF',border:'none',cursor:'pointer'
+              }}>Density Altitude</button>
+              <button onClick={()=>setShowNight(n=>!n)} style={{
                 display:'block',margin:'6px 0',
                 padding:'6px',width:'100%',
-                background:visible[t]?tailColors[t]:'#CCC',
+                background:showNight?'#555':'#CCC',
                 color:'#FFF',border:'none',cursor:'pointer'
-              }}>{t}</button>
-            ))}
-            <button onClick={()=>setShowFlightCat(f=>!f)} style={{
-              display:'block',margin:'6px 0',
-              padding:'6px',width:'100%',
-              background:showFlightCat?'#555':'#CCC',
-              color:'#FFF',border:'none',cursor:'pointer'
-            }}>Flight Category</button>
-            {['LIFR','IFR','MVFR','VFR'].map(cat=>(
-              <button key={cat} onClick={()=>toggleCat(cat)} style={{
-                display:'flex',justifyContent:'space-between',
-                margin:'4px 0',padding:'4px 8px',width:'100%',
-                background:catFilters[cat]?flightCategoryColor[cat]:'#CCC',
+              }}>Night Shading</button>
+              <button onClick={()=>setShowRaw(r=>!r)}
+                      title="Flight-tracker rows the pipeline ignored, merged as overlaps or dropped as duplicates"
+                      style={{
+                display:'block',margin:'6px 0',
+                padding:'6px',width:'100%',
+                background:showRaw?'#555':'#CCC',
                 color:'#FFF',border:'none',cursor:'pointer'
-              }}>
-                <span>{cat}</span><span>{categoryCounts[cat]}</span>
-              </button>
-            ))}
-            <button onClick={()=>setShowTemp(t=>!t)} style={{
-              display:'block',margin:'6px 0',
-              padding:'6px',width:'100%',
-              background:showTemp?'#555':'#CCC',
-              color:'#FFF',border:'none',cursor:'pointer'
-            }}>Temperature</button>
+              }}>Dropped Records</button>
+              <button onClick={()=>setShowRoutes(r=>!r)} style={{
+                display:'block',margin:'6px 0',
+                padding:'6px',width:'100%',
+                background:showRoutes?'#555':'#CCC',
+                color:'#FFF',border:'none',cursor:'pointer'
+              }}>Route Labels</button>
+              <div style={{display:'flex',margin:'6px 0'}}>
+                {ROUTE_FILTERS.map(([id,label])=>(
+                  <button key={id} onClick={()=>setRouteFilter(id)} style={{
+                    flex:1,padding:'4px 2px',fontSize:10,
+                    background:routeFilter===id?'#555':'#CCC',
+                    color:'#FFF',border:'none',cursor:'pointer'
+                  }}>{label}</button>
+                ))}
+              </div>
+              <button onClick={()=>setShowGaps(g=>!g)}
+                      title="Hours with no METAR are hatched; this lists the longest outages and monthly coverage"
+                      style={{
+                display:'block',margin:'6px 0',
+                padding:'6px',width:'100%',
+                background:showGaps?'#555':'#CCC',
+                color:'#FFF',border:'none',cursor:'pointer'
+              }}>Observation Gaps</button>
+              {showGaps && (
+                <div style={{fontSize:10}}>
+                  <div style={{fontWeight:'bold'}}>Longest outages</div>
+                  {outages.length===0 && <div style={{color:'#666'}}>None over {STALE_MIN} min</div>}
+                  {outages.map(o=>(
+                    <div key={o.from.local_time}>
+                      {o.from.local_time.slice(0,16).replace('T',' ')} → {o.to.local_time.slice(5,16).replace('T',' ')}
+                      &nbsp;({(o.minutes/60).toFixed(1)} h)
+                    </div>
+                  ))}
+                  <div style={{fontWeight:'bold',marginTop:4}}>Coverage by month</div>
+                  {metarCoverage.coverage.map(m=>(
+                    <div key={m.month} style={{display:'flex',justifyContent:'space-between'}}>
+                      <span>{m.month}</span><span>{m.pct.toFixed(1)}%</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
           </div>
         </div>
-      </div>
+      </>}
     </div>
   );
 }
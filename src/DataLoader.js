@@ -0,0 +1,81 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { loadFile, loadUrl } from './datasets';
+
+// Status line labels per dataset kind
+const KIND_LABELS = { activity:'Activity', metar:'METAR', tracked:'State-tracked', taf:'TAF' };
+
+// Drop zone + file picker + URL box. Calls onLoaded(kind, data, source)
+// for every dataset that parses and validates. `defaults` ({kind: url})
+// are fetched once on mount.
+export default function DataLoader({ sources, defaults, onLoaded }) {
+  const [over,setOver]     = useState(false);
+  const [url,setUrl]       = useState('');
+  const [errors,setErrors] = useState([]);
+  const [busy,setBusy]     = useState(false);
+
+  const run = useCallback(async jobs => {
+    setBusy(true);
+    const errs = [];
+    for (const [label, job] of jobs) {
+      try {
+        const { kind, data } = await job();
+        onLoaded(kind, data, label);
+      } catch (e) {
+        errs.push(`${label}: ${e.message}`);
+      }
+    }
+    setErrors(errs);
+    setBusy(false);
+  },[onLoaded]);
+
+  useEffect(()=>{
+    if(!defaults) return;
+    run(Object.entries(defaults).map(([kind,u]) => [u, () => loadUrl(u,kind)]));
+  },[defaults,run]);
+
+  const onFiles = files =>
+    run([...files].map(f => [f.name, () => loadFile(f)]));
+
+  const onDrop = e => {
+    e.preventDefault();
+    setOver(false);
+    onFiles(e.dataTransfer.files);
+  };
+
+  return (
+    <div onDragOver={e=>{ e.preventDefault(); setOver(true); }}
+         onDragLeave={()=>setOver(false)}
+         onDrop={onDrop}
+         style={{
+           border:`2px dashed ${over?'#2A9D8F':'#CCC'}`,
+           borderRadius:4,
+           padding:8,
+           marginBottom:16,
+           fontSize:12,
+           background:over?'#E6F9E6':'transparent'
+         }}>
+      <div style={{display:'flex',gap:12,alignItems:'center',flexWrap:'wrap'}}>
+        <span>Drop activity / METAR / TAF JSON or flight-history CSV here, or</span>
+        <input type="file" accept=".json,.csv,application/json,text/csv" multiple
+               onChange={e=>{ onFiles(e.target.files); e.target.value=''; }}/>
+        <form onSubmit={e=>{ e.preventDefault(); if(url) run([[url, () => loadUrl(url)]]); }}>
+          <input type="text" value={url} placeholder="data/alb_metar.json"
+                 onChange={e=>setUrl(e.target.value)} style={{width:200}}/>
+          <button type="submit" disabled={!url||busy}>Load URL</button>
+        </form>
+        {busy && <span>Loading…</span>}
+      </div>
+      <div style={{marginTop:4,color:'#666'}}>
+        {Object.entries(KIND_LABELS).map(([k,label],i)=>(
+          <span key={k}>
+            {i>0 && <>&nbsp;·&nbsp;</>}
+            {label}: {sources[k] || 'not loaded'}
+          </span>
+        ))}
+      </div>
+      {errors.map(e=>(
+        <div key={e} style={{color:'#C00'}}>{e}</div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+
+// Columns of the raw flight-tracker rows kept in ignored/overlap/duplicates
+const RAW_COLS = ['DATE','FROM','TO','FLIGHT TIME','STD','ATD','STA','STATUS'];
+
+const cell = { padding:'2px 8px', borderBottom:'1px solid #EEE', textAlign:'left' };
+
+// "Data quality" view: per-aircraft counts, malformed blocks, and the
+// records the pipeline set aside.
+export default function DataQuality({ data, report, tailColors }) {
+  const [open,setOpen] = useState(null);   // "TAIL:kind" being listed
+
+  if (!data) return <div style={{color:'#666'}}>No activity data loaded.</div>;
+
+  const { issues, summary } = report;
+  const tails = Object.keys(summary);
+
+  return (
+    <div style={{fontSize:12}}>
+      <h3>Records per aircraft</h3>
+      <table style={{borderCollapse:'collapse'}}>
+        <thead>
+          <tr>
+            {['Aircraft','Days','Blocks','Malformed','Ignored','Overlap','Duplicates'].map(h=>
+              <th key={h} style={cell}>{h}</th>
+            )}
+          </tr>
+        </thead>
+        <tbody>
+          {tails.map(t=>{
+            const s=summary[t];
+            const btn = kind => (
+              <td style={cell}>
+                <button disabled={!s[kind]}
+                        onClick={()=>setOpen(o=>o===`${t}:${kind}`?null:`${t}:${kind}`)}>
+                  {s[kind]}
+                </button>
+              </td>
+            );
+            return (
+              <tr key={t}>
+                <td style={{...cell,color:tailColors[t]||'#000',fontWeight:'bold'}}>{t}</td>
+                <td style={cell}>{s.days}</td>
+                <td style={cell}>{s.blocks}</td>
+                <td style={{...cell,color:s.malformed?'#C00':undefined}}>{s.malformed}</td>
+                {btn('ignored')}
+                {btn('overlap')}
+                {btn('duplicates')}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {open && (() => {
+        const [t,kind]=open.split(':');
+        const rows=data[t]?.[kind]||[];
+        return (
+          <>
+            <h3>{t} — {kind} ({rows.length})</h3>
+            <table style={{borderCollapse:'collapse'}}>
+              <thead>
+                <tr>{RAW_COLS.map(c=><th key={c} style={cell}>{c}</th>)}</tr>
+              </thead>
+              <tbody>
+                {rows.map((r,i)=>(
+                  <tr key={i}>{RAW_COLS.map(c=><td key={c} style={cell}>{r?.[c]??''}</td>)}</tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        );
+      })()}
+
+      <h3>Problems ({issues.length})</h3>
+      {issues.length===0
+        ? <div style={{color:'#2A9D8F'}}>No malformed blocks found.</div>
+        : (
+          <table style={{borderCollapse:'collapse'}}>
+            <thead>
+              <tr>{['Aircraft','Date','Block','Problem'].map(h=><th key={h} style={cell}>{h}</th>)}</tr>
+            </thead>
+            <tbody>
+              {issues.map((is,i)=>(
+                <tr key={i}>
+                  <td style={cell}>{is.tail}</td>
+                  <td style={cell}>{is.date??''}</td>
+                  <td style={cell}>{is.block?JSON.stringify(is.block):''}</td>
+                  <td style={{...cell,color:'#C00'}}>{is.problem}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+    </div>
+  );
+}
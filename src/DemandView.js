@@ -0,0 +1,87 @@
+import React, { useMemo, useState } from 'react';
+import { WEEKDAYS, demandHeatmap } from './heatmap';
+
+const CELL_W = 30, CELL_H = 22;
+
+// Blue ramp from idle to every counted aircraft in use
+const shade = frac => `rgba(21,67,160,${(0.08 + 0.92 * Math.min(1, frac)).toFixed(3)})`;
+
+// "Demand" view: a weekday × hour heatmap of aircraft in use over the date
+// range, for the chosen aircraft and flight category. `categories` is
+// [[id, label]]; `segHasCategory(seg, id)` is the calendar's test.
+export default function DemandView({ segIndex, fleet, range, categories, segHasCategory }) {
+  const [hidden,setHidden] = useState({});      // tail → true when left out
+  const [category,setCategory] = useState('all');
+
+  const counted = useMemo(()=>fleet.filter(ac=>!hidden[ac.tail]),[fleet,hidden]);
+  const { cells, days } = useMemo(()=>demandHeatmap(
+    segIndex,counted,range,category==='all' ? undefined : seg=>segHasCategory(seg,category)
+  ),[segIndex,counted,range,category,segHasCategory]);
+
+  const n = counted.length;
+  const hourLabel = h => `${String(h).padStart(2,'0')}:00`;
+
+  return (
+    <div style={{fontSize:12}}>
+      <div style={{display:'flex',gap:6,alignItems:'center',marginBottom:8,flexWrap:'wrap'}}>
+        <span>Aircraft:</span>
+        {fleet.map(ac=>(
+          <button key={ac.tail} onClick={()=>setHidden(h=>({...h,[ac.tail]:!h[ac.tail]}))} style={{
+            padding:'2px 8px',
+            background:hidden[ac.tail]?'#CCC':ac.color,
+            color:'#FFF',border:'none',cursor:'pointer'
+          }}>{ac.name}</button>
+        ))}
+        <label style={{marginLeft:16}}>
+          Flight category:&nbsp;
+          <select value={category} onChange={e=>setCategory(e.target.value)}>
+            <option value="all">Any</option>
+            {categories.map(([id,label])=><option key={id} value={id}>{label}</option>)}
+          </select>
+        </label>
+      </div>
+      <div style={{color:'#666',marginBottom:8}}>
+        {range.start} – {range.end}. Each cell is the average number of the {n} selected aircraft in
+        use during that hour; outlined cells had every one of them in use on at least one day.
+        {category!=='all' && ' Blocks are matched to the category as on the calendar.'}
+      </div>
+
+      <div style={{display:'grid',gridTemplateColumns:`36px repeat(24, ${CELL_W}px)`,gap:1}}>
+        <div/>
+        {cells[0].map((_,h)=>(
+          <div key={h} style={{fontSize:9,textAlign:'center'}}>{h}</div>
+        ))}
+        {cells.map((hours,wd)=>(
+          <React.Fragment key={wd}>
+            <div style={{fontWeight:'bold',lineHeight:`${CELL_H}px`}}>{WEEKDAYS[wd]}</div>
+            {hours.map((c,h)=>(
+              <div key={h}
+                   title={`${WEEKDAYS[wd]} ${hourLabel(h)}–${hourLabel((h+1)%24)}: `+
+                          `${c.mean.toFixed(2)} aircraft on average over ${days[wd]} ${WEEKDAYS[wd]}s\n`+
+                          `${(c.minutes/60).toFixed(1)} aircraft-hours, peak ${c.peak}`+
+                          (c.full ? `, all in use on ${c.full} day${c.full>1?'s':''}` : '')}
+                   style={{
+                     height:CELL_H,
+                     background:c.minutes ? shade(n ? c.mean/n : 0) : '#F5F5F5',
+                     color:n && c.mean/n>0.5 ? '#FFF' : '#333',
+                     outline:c.full ? '2px solid #FF8C00' : 'none',
+                     outlineOffset:-2,
+                     fontSize:9,textAlign:'center',lineHeight:`${CELL_H}px`
+                   }}>
+                {c.minutes ? c.mean.toFixed(1) : ''}
+              </div>
+            ))}
+          </React.Fragment>
+        ))}
+      </div>
+
+      <div style={{display:'flex',alignItems:'center',gap:4,marginTop:8,fontSize:10}}>
+        <span>0</span>
+        {[0,0.25,0.5,0.75,1].map(f=>(
+          <div key={f} style={{width:CELL_W,height:10,background:shade(f)}}/>
+        ))}
+        <span>{n} aircraft</span>
+      </div>
+    </div>
+  );
+}
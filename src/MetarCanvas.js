@@ -0,0 +1,119 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { inRange } from './dateRange';
+import { OUT_OF_RANGE_BG, SPECI_PX, dayKey, getBg, nightSpans } from './calendar';
+
+// Diagonal hatching for hours without an observation (matches NO_DATA_BG)
+function hatch(ctx, x, w, h) {
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(x, 0, w, h);
+  ctx.clip();
+  ctx.strokeStyle = '#AAA';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (let i = x - h; i < x + w; i += 3) {
+    ctx.moveTo(i, 0);
+    ctx.lineTo(i + h, h);
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+// One METAR strip for a whole week drawn on a canvas instead of one <div>
+// per observation. Hovering hit-tests the hour under the pointer and shows
+// the same text the DOM renderer puts in `title`, specials and gaps included.
+// `sun` (dKey → sunMinutes, or null) adds night/twilight shading.
+export default function MetarCanvas({ week, range, metarLookup, metarSpecials, metarMissing, sun,
+                                      strip, hourPx, height, style }) {
+  const ref = useRef(null);
+  const [tip,setTip] = useState(null);   // { x, y, text }
+  const DAY_WIDTH = 24 * hourPx;
+  const width = 7 * DAY_WIDTH;
+
+  // Cells to paint: day backgrounds, one rect per observation, hatched
+  // missing hours, then special markers
+  const cells = useMemo(()=>{
+    const bgs = [], obs = [], gaps = [], specials = [], shades = [];
+    week.forEach((d,di)=>{
+      const k=dayKey(d), inR=inRange(range,k);
+      bgs.push({ x:di*DAY_WIDTH, w:DAY_WIDTH, color:inR?getBg(d):OUT_OF_RANGE_BG });
+      if(!inR||!strip.on) return;
+      Object.values((strip.lookup||metarLookup)[k]||{}).forEach(rec=>{
+        const h=new Date(rec.local_time).getHours();
+        obs.push({ x:di*DAY_WIDTH+h*hourPx, w:hourPx, color:strip.color(rec), rec });
+      });
+      nightSpans(sun?.[k]).forEach(({from,to,shade})=>{
+        shades.push({ x:di*DAY_WIDTH+from/60*hourPx, w:(to-from)/60*hourPx, color:shade });
+      });
+      ((!strip.lookup&&metarMissing?.[k])||[]).forEach(h=>{
+        gaps.push({ x:di*DAY_WIDTH+h*hourPx, w:hourPx,
+                    text:`${k} ${String(h).padStart(2,'0')}:00 — no observation` });
+      });
+      ((!strip.lookup&&metarSpecials?.[k])||[]).forEach(rec=>{
+        const t=new Date(rec.local_time);
+        specials.push({ x:di*DAY_WIDTH+(t.getHours()+t.getMinutes()/60)*hourPx, w:SPECI_PX,
+                        color:strip.color(rec), rec });
+      });
+    });
+    return { bgs, obs, gaps, specials, shades };
+  },[week,range,metarLookup,metarSpecials,metarMissing,sun,strip,hourPx,DAY_WIDTH]);
+
+  useEffect(()=>{
+    const canvas = ref.current;
+    const ctx = canvas?.getContext?.('2d');
+    if(!ctx) return;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width  = width * dpr;
+    canvas.height = height * dpr;
+    ctx.setTransform(dpr,0,0,dpr,0,0);
+    ctx.clearRect(0,0,width,height);
+    [...cells.bgs, ...cells.obs, ...cells.shades].forEach(c=>{
+      if(!c.color || c.color==='transparent') return;
+      ctx.fillStyle = c.color;
+      ctx.fillRect(c.x,0,c.w,height);
+    });
+    cells.gaps.forEach(c=>hatch(ctx,c.x,c.w,height));
+    cells.specials.forEach(c=>{
+      if(c.color && c.color!=='transparent'){
+        ctx.fillStyle = c.color;
+        ctx.fillRect(c.x,0,c.w,height);
+      }
+      ctx.fillStyle = '#000';
+      ctx.fillRect(c.x,0,1,height);
+    });
+  },[cells,width,height]);
+
+  const onMove = e => {
+    const box = e.currentTarget.getBoundingClientRect();
+    const x = e.clientX - box.left;
+    const inside = c => x>=c.x && x<c.x+c.w;
+    const sp = cells.specials.find(inside);
+    const gap = !sp && cells.gaps.find(inside);
+    const hit = !sp && !gap && cells.obs.find(inside);
+    const text = sp ? `Special — ${strip.title(sp.rec)}` : gap ? gap.text : hit ? strip.title(hit.rec) : null;
+    setTip(text ? { x, y:height, text } : null);
+  };
+
+  return (
+    <div style={{position:'relative',...style}}>
+      <canvas ref={ref}
+              onMouseMove={onMove}
+              onMouseLeave={()=>setTip(null)}
+              style={{display:'block',width,height}}/>
+      {tip && (
+        <div style={{
+          position:'absolute',
+          left:tip.x+8,
+          top:tip.y+4,
+          zIndex:5,
+          padding:'2px 4px',
+          background:'#FFFFE1',
+          border:'1px solid #999',
+          fontSize:11,
+          whiteSpace:'pre',
+          pointerEvents:'none'
+        }}>{tip.text}</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,175 @@
+import React from 'react';
+import { parseRunways } from './wind';
+import { DEFAULT_TEMP_STOPS, toUnit, fromUnit, validStops } from './temperature';
+import TempLegend from './TempLegend';
+import { DEFAULT_AVAILABLE, clockMinutes } from './utilization';
+
+const row = { display:'flex', gap:8, alignItems:'center', margin:'6px 0' };
+
+// Settings view. `settings` is the current object, `onChange(key, value)`
+// updates one entry; `stations` are the loaded METAR stations, listed under
+// Airfield alongside the ones already configured.
+export default function SettingsView({ settings, onChange, stations = [] }) {
+  const unit = settings.tempUnit;
+  // Saved thresholds when valid, or six numbers merely out of order (mid-edit,
+  // flagged below); anything else, e.g. an old or corrupt saved value, is
+  // replaced by the defaults
+  const saved = settings.tempStops;
+  const editable = Array.isArray(saved) && saved.length===DEFAULT_TEMP_STOPS.length && saved.every(Number.isFinite);
+  const stops = (validStops(saved) || editable) ? saved : DEFAULT_TEMP_STOPS;
+  const setStop = (i,v) => onChange('tempStops',stops.map((s,j)=>j===i ? fromUnit(v,unit) : s));
+  const airfields = settings.airfields || {};
+  const fields = [...new Set([...Object.keys(airfields),...stations])].sort();
+  const setField = (icao,k,v) => onChange('airfields',{...airfields,[icao]:{...airfields[icao],[k]:v}});
+  // A cleared or half-typed coordinate keeps the last good one
+  const setCoord = (k,v) => v!=='' && Number.isFinite(+v) && onChange(k,+v);
+
+  return (
+    <div style={{fontSize:12,maxWidth:480}}>
+      <h3>Rendering</h3>
+      <div style={row}>
+        <span>METAR strips:</span>
+        {[['dom','DOM (one element per hour)'],['canvas','Canvas (one per week)']].map(([id,label])=>(
+          <label key={id}>
+            <input type="radio" name="metarRenderer" value={id}
+                   checked={settings.metarRenderer===id}
+                   onChange={()=>onChange('metarRenderer',id)}/>
+            {label}
+          </label>
+        ))}
+      </div>
+
+      <h3>Temperature</h3>
+      <div style={row}>
+        <span>Units:</span>
+        {[['C','°C'],['F','°F']].map(([id,label])=>(
+          <label key={id}>
+            <input type="radio" name="tempUnit" value={id}
+                   checked={unit===id}
+                   onChange={()=>onChange('tempUnit',id)}/>
+            {label}
+          </label>
+        ))}
+      </div>
+      <div style={row}>
+        <span>Color scale:</span>
+        {[['buckets','Seven buckets'],['gradient','Continuous gradient']].map(([id,label])=>(
+          <label key={id}>
+            <input type="radio" name="tempScale" value={id}
+                   checked={settings.tempScale===id}
+                   onChange={()=>onChange('tempScale',id)}/>
+            {label}
+          </label>
+        ))}
+      </div>
+      <div style={row}>
+        <span>Thresholds (°{unit}):</span>
+        {stops.map((s,i)=>(
+          <input key={i} type="number" step="1" style={{width:44}}
+                 value={Math.round(toUnit(s,unit)*10)/10}
+                 onChange={e=>e.target.value!=='' && setStop(i,+e.target.value)}/>
+        ))}
+        <button onClick={()=>onChange('tempStops',DEFAULT_TEMP_STOPS)}>Reset</button>
+      </div>
+      {!validStops(saved) && (
+        <div style={{color:'#B00'}}>Thresholds must increase left to right; the defaults are in use.</div>
+      )}
+      <TempLegend stops={validStops(stops) ? stops : DEFAULT_TEMP_STOPS}
+                  gradient={settings.tempScale==='gradient'} unit={unit} width={320}/>
+
+      <h3>Airfield</h3>
+      <table style={{borderCollapse:'collapse'}}>
+        <thead>
+          <tr>
+            {['Station','Runways','','Field elevation (ft)'].map((h,i)=>
+              <th key={i} style={{textAlign:'left',paddingRight:8}}>{h}</th>
+            )}
+          </tr>
+        </thead>
+        <tbody>
+          {fields.map(icao=>{
+            const a=airfields[icao]||{};
+            return (
+              <tr key={icao}>
+                <td style={{paddingRight:8}}>{icao}</td>
+                <td style={{paddingRight:8}}>
+                  <input type="text" value={a.runways||''} size={16} placeholder="e.g. 01/19 10/28"
+                         onChange={e=>setField(icao,'runways',e.target.value)}/>
+                </td>
+                <td style={{paddingRight:8,color:'#666'}}>
+                  {parseRunways(a.runways).map(h=>`${h}°`).join(' ') || 'none — crosswind off'}
+                </td>
+                <td>
+                  <input type="number" step="1" value={a.elevation ?? ''} style={{width:64}} placeholder="—"
+                         onChange={e=>setField(icao,'elevation',e.target.value==='' ? null : +e.target.value)}/>
+                  {a.elevation==null && <span style={{color:'#666'}}>&nbsp;no density altitude</span>}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div style={row}>
+        <label>
+          Location:&nbsp;
+          <input type="text" value={settings.siteName} size={6}
+                 onChange={e=>onChange('siteName',e.target.value)}/>
+        </label>
+        <label>
+          Lat&nbsp;
+          <input type="number" step="0.0001" min="-90" max="90" value={settings.siteLat} style={{width:80}}
+                 onChange={e=>setCoord('siteLat',e.target.value)}/>
+        </label>
+        <label>
+          Lon&nbsp;
+          <input type="number" step="0.0001" min="-180" max="180" value={settings.siteLon} style={{width:80}}
+                 onChange={e=>setCoord('siteLon',e.target.value)}/>
+        </label>
+        <span style={{color:'#666'}}>for sunrise, sunset and twilight</span>
+      </div>
+
+      <div style={row}>
+        <label>
+          High density altitude at:&nbsp;
+          <input type="number" step="100" min="0" value={settings.daThreshold} style={{width:64}}
+                 onChange={e=>onChange('daThreshold',Math.max(0,+e.target.value||0))}/>
+          &nbsp;ft
+        </label>
+      </div>
+
+      <h3>Personal minimums</h3>
+      <div style={row}>
+        <label>
+          Ceiling:&nbsp;
+          <input type="number" min="0" step="100" value={settings.minCeiling} style={{width:64}}
+                 onChange={e=>onChange('minCeiling',Math.max(0,+e.target.value||0))}/>
+          &nbsp;ft
+        </label>
+        <label>
+          Visibility:&nbsp;
+          <input type="number" min="0" step="0.5" value={settings.minVisibility} style={{width:48}}
+                 onChange={e=>onChange('minVisibility',Math.max(0,+e.target.value||0))}/>
+          &nbsp;SM
+        </label>
+      </div>
+
+      <h3>Operations</h3>
+      <div style={row}>
+        <span>Operating window:</span>
+        <input type="time" step="900" value={settings.availableFrom}
+               onChange={e=>e.target.value && onChange('availableFrom',e.target.value)}/>
+        –
+        <input type="time" step="900" value={settings.availableTo}
+               onChange={e=>e.target.value && onChange('availableTo',e.target.value)}/>
+        <button onClick={()=>{
+          onChange('availableFrom',DEFAULT_AVAILABLE.from);
+          onChange('availableTo',DEFAULT_AVAILABLE.to);
+        }}>Reset</button>
+      </div>
+      {!(clockMinutes(settings.availableTo)>clockMinutes(settings.availableFrom)) && (
+        <div style={{color:'#B00'}}>The window must end after it starts; {DEFAULT_AVAILABLE.from}–{DEFAULT_AVAILABLE.to} is in use.</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import React from 'react';
+import { TEMP_COLORS, tempToColor, toUnit } from './temperature';
+
+// Legend for the temperature strip in the display unit: seven labelled
+// swatches for buckets, or a gradient bar with the thresholds as ticks.
+export default function TempLegend({ stops, gradient, unit, width = 184 }) {
+  const label = c => `${Math.round(toUnit(c, unit))}°`;
+
+  if (!gradient) {
+    const names = [`≤${label(stops[0])}`, ...stops.slice(1).map(s => label(s)), `>${label(stops[stops.length-1])}`];
+    return (
+      <div style={{display:'flex',width,fontSize:9,margin:'2px 0 6px'}} title={`Temperature (°${unit})`}>
+        {TEMP_COLORS.map((c,i)=>(
+          <div key={c} style={{flex:1,textAlign:'center'}}>
+            <div style={{height:8,background:c,border:'1px solid #DDD'}}/>
+            {names[i]}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  const lo = stops[0] - 5, hi = 2 * stops[stops.length-1] - stops[stops.length-2];
+  const steps = 24;
+  const bar = Array.from({length:steps+1},(_,i)=>{
+    const t = lo + (hi-lo)*i/steps;
+    return `${tempToColor(t,{stops,gradient:true})} ${100*i/steps}%`;
+  }).join(',');
+  return (
+    <div style={{width,fontSize:9,margin:'2px 0 6px'}} title={`Temperature (°${unit})`}>
+      <div style={{height:8,border:'1px solid #DDD',background:`linear-gradient(to right,${bar})`}}/>
+      <div style={{position:'relative',height:11}}>
+        {stops.map(s=>(
+          <span key={s} style={{
+            position:'absolute',
+            left:`${100*(s-lo)/(hi-lo)}%`,
+            transform:'translateX(-50%)'
+          }}>{label(s)}</span>
+        ))}
+      </div>
+    </div>
+  );
+}
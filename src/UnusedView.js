@@ -0,0 +1,78 @@
+import React from 'react';
+import { WEEKDAYS } from './heatmap';
+import { IDLE_FLYABLE_BG } from './calendar';
+import { clockText } from './utilization';
+
+const cell = { padding:'2px 8px', borderBottom:'1px solid #EEE', textAlign:'left' };
+const num  = { ...cell, textAlign:'right' };
+
+const hours = min => (min/60).toFixed(1);
+const share = o => (o.flyable ? 100 * o.idle / o.flyable : null);
+
+// Idle-share bar, in the aircraft's color where there is one
+function Bar({ pct, color }) {
+  return (
+    <div style={{width:120,height:8,background:'#EEE'}}>
+      <div style={{width:`${pct||0}%`,height:'100%',background:color}}/>
+    </div>
+  );
+}
+
+function Table({ head, rows }) {
+  return (
+    <table style={{borderCollapse:'collapse',marginBottom:12}}>
+      <thead>
+        <tr>
+          {[head,'Flyable','Idle','Idle %',''].map((h,i)=><th key={i} style={cell}>{h}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(({ key, label, color, o })=>{
+          const p = share(o);
+          return (
+            <tr key={key}>
+              <td style={{...cell,color,fontWeight:color?'bold':undefined}}>{label}</td>
+              <td style={num}>{hours(o.flyable)}</td>
+              <td style={num}>{hours(o.idle)}</td>
+              <td style={num}>{p == null ? '–' : `${p.toFixed(0)}%`}</td>
+              <td style={cell}><Bar pct={p} color={color||'#66BB6A'}/></td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+// "Unused weather" view: flyable time (see flyable.js) each aircraft spent
+// on the ground, by aircraft, weekday and month. `unused` is unusedFlyable().
+export default function UnusedView({ unused, fleet, range, tailColors, win, siteName, hasMetar }) {
+  if (!hasMetar) return <div style={{color:'#666'}}>No METAR data loaded for the selected station.</div>;
+
+  const names = Object.fromEntries(fleet.map(ac=>[ac.tail,ac.name]));
+  const all = unused.tails.reduce((o,t)=>({ flyable:o.flyable+t.flyable, idle:o.idle+t.idle }),{ flyable:0, idle:0 });
+
+  return (
+    <div style={{fontSize:12}}>
+      <div style={{color:'#666',marginBottom:8}}>
+        {range.start} – {range.end}. Flyable: VFR or MVFR in effect, between sunrise and sunset at {siteName},
+        inside the operating window {clockText(win.from)}–{clockText(win.to)} (change in Settings).
+        Hours are aircraft-hours on days each aircraft was on the line;
+        idle is flyable time it was not flying. The <span style={{background:IDLE_FLYABLE_BG,padding:'0 4px'}}>
+        Unused Flyable</span> layer marks them on the calendar.
+      </div>
+
+      <h3>By aircraft</h3>
+      <Table head="Aircraft" rows={[
+        ...unused.tails.map(t=>({ key:t.tail, label:names[t.tail]||t.tail, color:tailColors[t.tail], o:t })),
+        { key:'all', label:'Fleet', o:all },
+      ]}/>
+
+      <h3>By weekday</h3>
+      <Table head="Weekday" rows={unused.weekdays.map((o,i)=>({ key:i, label:WEEKDAYS[i], o }))}/>
+
+      <h3>By month</h3>
+      <Table head="Month" rows={unused.months.map(o=>({ key:o.month, label:o.month, o }))}/>
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import React, { useMemo, useState } from 'react';
+import { INACTIVE_BG } from './calendar';
+import { PERIODS, availableWindow, clockText, utilization } from './utilization';
+
+const cell = { padding:'2px 8px', borderBottom:'1px solid #EEE', textAlign:'left' };
+const num  = { ...cell, textAlign:'right' };
+
+const CHART_W = 600, CHART_H = 48;
+
+const hours = min => (min/60).toFixed(1);
+const pctText = p => (p == null ? '–' : `${p.toFixed(1)}%`);
+
+// "Utilization" view: block-hours per aircraft over the date range, the
+// share of the available-hours window they fill, and per-period bars.
+export default function UtilizationView({ segIndex, fleet, range, tailColors, availableFrom, availableTo }) {
+  const [period,setPeriod] = useState('week');
+  const win = useMemo(()=>availableWindow(availableFrom,availableTo),[availableFrom,availableTo]);
+  const { periods, tails } = useMemo(
+    ()=>utilization(segIndex,fleet,range,win,period),[segIndex,fleet,range,win,period]
+  );
+
+  if (!fleet.length) return <div style={{color:'#666'}}>No aircraft on the line in this range.</div>;
+
+  const maxMin = Math.max(1,...tails.flatMap(t=>Object.values(t.byPeriod).map(b=>b.minutes)));
+  const fleetTotal = tails.reduce((o,t)=>({
+    minutes:o.minutes+t.minutes, inWindow:o.inWindow+t.inWindow, available:o.available+t.available,
+  }),{ minutes:0, inWindow:0, available:0 });
+
+  return (
+    <div style={{fontSize:12}}>
+      <div style={{color:'#666',marginBottom:8}}>
+        {range.start} – {range.end}; available {clockText(win.from)}–{clockText(win.to)} on each day an
+        aircraft is on the line (change in Settings). Utilization counts block time inside that window.
+      </div>
+
+      <h3>Ranking</h3>
+      <table style={{borderCollapse:'collapse'}}>
+        <thead>
+          <tr>
+            {['#','Aircraft','Block hours','Available','Utilization',''].map((h,i)=>
+              <th key={i} style={cell}>{h}</th>
+            )}
+          </tr>
+        </thead>
+        <tbody>
+          {tails.map((t,i)=>(
+            <tr key={t.tail}>
+              <td style={cell}>{i+1}</td>
+              <td style={{...cell,color:tailColors[t.tail]||'#000',fontWeight:'bold'}}>{t.tail}</td>
+              <td style={num}>{hours(t.minutes)}</td>
+              <td style={num}>{hours(t.available)}</td>
+              <td style={num}>{pctText(t.pct)}</td>
+              <td style={cell}>
+                <div style={{width:120,height:8,background:'#EEE'}}>
+                  <div style={{width:`${Math.min(100,t.pct||0)}%`,height:'100%',background:tailColors[t.tail]||'#888'}}/>
+                </div>
+              </td>
+            </tr>
+          ))}
+          <tr style={{fontWeight:'bold'}}>
+            <td style={cell}/>
+            <td style={cell}>Fleet</td>
+            <td style={num}>{hours(fleetTotal.minutes)}</td>
+            <td style={num}>{hours(fleetTotal.available)}</td>
+            <td style={num}>{pctText(fleetTotal.available ? 100*fleetTotal.inWindow/fleetTotal.available : null)}</td>
+            <td style={cell}/>
+          </tr>
+        </tbody>
+      </table>
+
+      <h3>Block hours per {period}</h3>
+      <div style={{display:'flex',gap:4,marginBottom:8}}>
+        {PERIODS.map(([id,label])=>(
+          <button key={id} onClick={()=>setPeriod(id)} style={{
+            padding:'2px 8px',
+            background:period===id?'#555':'#EEE',
+            color:period===id?'#FFF':'#000',
+            border:'1px solid #CCC',cursor:'pointer'
+          }}>{label}</button>
+        ))}
+      </div>
+      {tails.map(t=>(
+        <div key={t.tail} style={{display:'flex',alignItems:'flex-end',gap:8,marginBottom:6}}>
+          <div style={{width:60,fontWeight:'bold',color:tailColors[t.tail]||'#000'}}>{t.tail}</div>
+          <div style={{display:'flex',alignItems:'flex-end',gap:periods.length>100?0:1,width:CHART_W,height:CHART_H,borderBottom:'1px solid #CCC'}}>
+            {periods.map(p=>{
+              const b=t.byPeriod[p];
+              return (
+                <div key={p}
+                     title={b ? `${p}: ${hours(b.minutes)} h, ${pctText(b.pct)} of ${hours(b.available)} h available`
+                              : `${p}: not on the line`}
+                     style={{
+                       flex:1,
+                       height:b ? `${100*b.minutes/maxMin}%` : '100%',
+                       background:b ? tailColors[t.tail]||'#888' : INACTIVE_BG,
+                     }}/>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+      <div style={{color:'#666'}}>Bars share one scale: the tallest is {hours(maxMin)} h.</div>
+    </div>
+  );
+}
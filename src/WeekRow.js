@@ -0,0 +1,303 @@
+import React from 'react';
+import { isActiveOn } from './fleet';
+import { routeLabel } from './routes';
+import { recordText } from './flightRecords';
+import { inRange } from './dateRange';
+import { dayNightMinutes } from './sun';
+import MetarCanvas from './MetarCanvas';
+import { busyRuns } from './concurrency';
+import { clockText } from './utilization';
+import {
+  BADGE_ROW_HEIGHT, WEEK_GAP, OUT_OF_RANGE_BG, INACTIVE_BG, NO_DATA_BG, IDLE_FLYABLE_BG, SPECI_PX,
+  dayKey, formatBadge, getBg, nightSpans,
+} from './calendar';
+
+// Set-aside flight-tracker rows (ignored/overlap/duplicates) drawn as markers
+const RAW_KINDS = {
+  ignored:    { label:'Ignored',   style:c=>({background:`repeating-linear-gradient(45deg,${c} 0 1px,transparent 1px 4px)`}) },
+  overlap:    { label:'Overlap',   style:c=>({border:`1px solid ${c}`}) },
+  duplicates: { label:'Duplicate', style:c=>({border:`1px dashed ${c}`}) },
+};
+
+// "Departure VFR (KALB) · arrival MVFR (KGFL) · worst MVFR", plus
+// "· no data at KPSF" for route ends with no station file
+function wxText(wx) {
+  const at = rec => rec?.decoded?.station ? ` (${rec.decoded.station})` : '';
+  const arr = wx.arrival && wx.arrival !== wx.departure
+    ? ` · arrival ${wx.atArrival||'?'}${at(wx.arrival)}` : '';
+  const none = wx.noData?.length ? ` · no data at ${wx.noData.join(', ')}` : '';
+  return `Departure ${wx.atDeparture||'?'}${at(wx.departure)}${arr} · worst ${wx.worst||'?'}${none}`;
+}
+
+// Fleet-busy row: aircraft in use, and every aircraft in use
+const BUSY_COLOR = '#78909C';
+const FULL_COLOR = '#D32F2F';
+
+// Narrowest block (px) that gets an airport-code label
+const LABEL_MIN_PX = 36;
+// Pixel height of one week row (grid rows + gap); the fleet-busy row is
+// as tall as an aircraft row
+export function weekHeight(nAircraft, nStrips, hourPx, busyRow = false) {
+  return BADGE_ROW_HEIGHT + (nAircraft + (busyRow ? 1 : 0))*hourPx*2 + 2 + nStrips*hourPx + WEEK_GAP;
+}
+
+// One Mon→Sun row of the calendar: day badges, a row per aircraft, then one
+// row per METAR strip. `segs` and `raw` are already filtered (tail → day →
+// items); `weather` maps a segment to its blockWeather() for the tooltip;
+// strips are { id, on, color(rec), title(rec), lookup? } (lookup replaces
+// metarLookup, e.g. for forecasts), drawn as DOM cells or, with renderer
+// 'canvas', one canvas per strip. Specials (dKey → [rec]) get
+// a marker at their minute; missing hours (dKey → [hour]) are hatched.
+// `sun` (dKey → sunMinutes) splits block tooltips into day/night and, with
+// showNight, shades night and twilight behind blocks and over strips.
+// `busy` (dKey → fleetBusy() day, or null for no row) adds a row under the
+// aircraft with the count in use as a stepped fill, red when all are.
+// `idle` (tail → dKey → [span], or null) marks flyable time each aircraft
+// sat on the ground.
+function WeekRow({ week, range, fleet, segs, raw, weather, metarLookup, metarSpecials, metarMissing,
+                   sun, showNight, strips, renderer, hourPx, showRoutes, tailColors, busy, idle }) {
+  const DAY_WIDTH   = 24 * hourPx;
+  const AC_ROW_H    = hourPx * 2;
+  const METAR_ROW_H = hourPx;
+  const SEP_ROW     = fleet.length + (busy ? 3 : 2);   // grid row of the separator
+
+  // Render aircraft blocks
+  function renderBlocks(tail,k,date){
+    return (segs[tail]?.[k]||[]).map((seg,i)=>{
+      const {from,to}=seg;
+      const sH=seg.sMin/60, eH=seg.eMin/60;
+      const width = (eH - sH) * hourPx;
+      const label = routeLabel(from,to);
+      const wx = weather?.get(seg);
+      const dn = sun?.[k] && dayNightMinutes(seg,sun[k]);
+      return (
+        <div key={i}
+             title={`${tail} ${date.toLocaleDateString()} ${seg.st}–${seg.et}`+
+                    (from||to ? `\n${from||'?'} → ${to||'?'}` : '')+
+                    (wx ? (wx.obs.length||wx.noData?.length ? `\n${wxText(wx)}` : '\nNo METAR in effect') : '')+
+                    (dn ? `\nDay ${dn.day} min · night ${dn.night} min` : '')+
+                    (seg.source==='tracked' ? '\n(15-min state-tracked file)' : '')}
+             style={{
+               position:'absolute',
+               left:  `${sH * hourPx}px`,
+               width: `${width}px`,
+               height:'100%',
+               backgroundColor: tailColors[tail],
+               color:'#FFF',
+               fontSize:Math.min(AC_ROW_H-1,8),
+               lineHeight:`${AC_ROW_H}px`,
+               overflow:'hidden',
+               whiteSpace:'nowrap'
+             }}>
+          {showRoutes && label && width>=LABEL_MIN_PX && label}
+        </div>
+      );
+    });
+  }
+
+  // Idle flyable spans behind an aircraft's blocks
+  function renderIdle(tail,k){
+    return (idle?.[tail]?.[k]||[]).map(({from,to})=>(
+      <div key={`idle-${from}`}
+           title={`${tail} ${k} ${clockText(from)}–${clockText(to)}: flyable, not flying`}
+           style={{
+             position:'absolute',
+             left:`${from/60*hourPx}px`,
+             width:`${(to-from)/60*hourPx}px`,
+             height:'100%',
+             background:IDLE_FLYABLE_BG
+           }}/>
+    ));
+  }
+
+  // Night/twilight shading for a day cell
+  function renderNight(k){
+    if(!showNight) return null;
+    return nightSpans(sun?.[k]).map(({from,to,shade})=>(
+      <div key={`night-${from}`} style={{
+        position:'absolute',
+        left:`${from/60*hourPx}px`,
+        width:`${(to-from)/60*hourPx}px`,
+        height:'100%',
+        background:shade,
+        pointerEvents:'none'
+      }}/>
+    ));
+  }
+
+  // Render set-aside rows; untimed rows outline the whole day
+  function renderRaw(tail,k){
+    return (raw[tail]?.[k]||[]).map(({kind,row,sMin,eMin},i)=>{
+      const untimed = sMin==null;
+      const sH = untimed ? 0  : sMin/60;
+      const eH = untimed ? 24 : Math.min(eMin/60,24);
+      return (
+        <div key={`raw-${i}`}
+             title={`${RAW_KINDS[kind].label}${untimed?' (no times)':''}\n${recordText(row)}`}
+             style={{
+               position:'absolute',
+               left:  `${sH * hourPx}px`,
+               width: `${Math.max((eH - sH) * hourPx, 2)}px`,
+               height:'100%',
+               boxSizing:'border-box',
+               opacity:untimed?0.5:1,
+               ...RAW_KINDS[kind].style(tailColors[tail]||'#000')
+             }}/>
+      );
+    });
+  }
+
+  return (
+    <div style={{
+      display:'grid',
+      gridTemplateColumns:`repeat(7, ${DAY_WIDTH}px)`,
+      gridTemplateRows:
+        `${BADGE_ROW_HEIGHT}px ` +
+        `repeat(${fleet.length}, ${AC_ROW_H}px) ` +
+        (busy ? `${AC_ROW_H}px ` : '') +
+        `2px ` +
+        strips.map(()=>`${METAR_ROW_H}px`).join(' '),
+      position:'relative',
+      marginBottom:2,
+      borderBottom:'1px solid #DDD'
+    }}>
+      {week.map((d,di)=>(
+        <div key={di} style={{
+          gridRowStart:1,
+          background:inRange(range,dayKey(d))?getBg(d):OUT_OF_RANGE_BG,
+          fontSize:8,
+          lineHeight:`${BADGE_ROW_HEIGHT}px`,
+          position:'relative'
+        }}>
+          {formatBadge(d)}
+        </div>
+      ))}
+
+      {fleet.map((ac,ti)=>
+        week.map((d,di)=>{
+          const t=ac.tail, k=dayKey(d), active=isActiveOn(ac,k);
+          if(!inRange(range,k))
+            return <div key={`${t}-${di}`} style={{gridRowStart:ti+2,background:OUT_OF_RANGE_BG}}/>;
+          return (
+            <div key={`${t}-${di}`} style={{
+              gridRowStart:ti+2,
+              position:'relative',
+              background:active?getBg(d):INACTIVE_BG
+            }}>
+              {renderNight(k)}
+              {active && renderIdle(t,k)}
+              {active && renderBlocks(t,k,d)}
+              {renderRaw(t,k)}
+            </div>
+          );
+        })
+      )}
+
+      {busy && week.map((d,di)=>{
+        const k=dayKey(d), day=inRange(range,k)&&busy[k];
+        return (
+          <div key={`busy-${di}`} style={{
+            gridRowStart:fleet.length+2,
+            position:'relative',
+            background:day?'#FFF':OUT_OF_RANGE_BG,
+            borderTop:'1px dotted #CCC',
+            boxSizing:'border-box'
+          }}>
+            {day && busyRuns(day).map(r=>(
+              <div key={r.from}
+                   title={`${k} ${clockText(r.from)}–${clockText(r.to)}: ${r.n} of ${day.of} aircraft in use`+
+                          (r.full ? ' — fleet fully booked' : '')}
+                   style={{
+                     position:'absolute',
+                     left:`${r.from/60*hourPx}px`,
+                     width:`${(r.to-r.from)/60*hourPx}px`,
+                     bottom:0,
+                     height:`${100*Math.min(1,r.n/(day.of||r.n))}%`,
+                     background:r.full?FULL_COLOR:BUSY_COLOR
+                   }}/>
+            ))}
+          </div>
+        );
+      })}
+
+      <div style={{gridRowStart:SEP_ROW}}/>
+
+      {renderer==='canvas' && strips.map((strip,si)=>(
+        <MetarCanvas key={strip.id}
+                     week={week}
+                     range={range}
+                     metarLookup={metarLookup}
+                     metarSpecials={metarSpecials}
+                     metarMissing={metarMissing}
+                     sun={showNight?sun:null}
+                     strip={strip}
+                     hourPx={hourPx}
+                     height={METAR_ROW_H}
+                     style={{gridRowStart:SEP_ROW+1+si,gridColumn:'1 / 8'}}/>
+      ))}
+
+      {renderer!=='canvas' && strips.map((strip,si)=>
+        week.map((d,di)=>{
+          const k=dayKey(d), inR=inRange(range,k);
+          const own=!!strip.lookup;
+          const recs=(inR&&strip.on&&(strip.lookup||metarLookup)[k])||{};
+          const specials=(inR&&strip.on&&!own&&metarSpecials?.[k])||[];
+          const missing=(inR&&strip.on&&!own&&metarMissing?.[k])||[];
+          return (
+            <div key={`${strip.id}-${di}`} style={{
+              gridRowStart:SEP_ROW+1+si,
+              position:'relative',
+              background:inR?getBg(d):OUT_OF_RANGE_BG
+            }}>
+              {Object.values(recs).map(rec=>{
+                const h=new Date(rec.local_time).getHours();
+                return (
+                  <div key={rec.local_time}
+                       title={strip.title(rec)}
+                       style={{
+                         position:'absolute',
+                         left:`${h*hourPx}px`,
+                         width:`${hourPx}px`,
+                         height:'100%',
+                         backgroundColor:strip.color(rec)
+                       }}/>
+                );
+              })}
+              {inR && renderNight(k)}
+              {missing.map(h=>(
+                <div key={`gap-${h}`}
+                     title={`${k} ${String(h).padStart(2,'0')}:00 — no observation`}
+                     style={{
+                       position:'absolute',
+                       left:`${h*hourPx}px`,
+                       width:`${hourPx}px`,
+                       height:'100%',
+                       background:NO_DATA_BG
+                     }}/>
+              ))}
+              {specials.map(rec=>{
+                const t=new Date(rec.local_time);
+                return (
+                  <div key={`sp-${rec.local_time}`}
+                       title={`Special — ${strip.title(rec)}`}
+                       style={{
+                         position:'absolute',
+                         left:`${(t.getHours()+t.getMinutes()/60)*hourPx}px`,
+                         width:`${SPECI_PX}px`,
+                         height:'100%',
+                         boxSizing:'border-box',
+                         borderLeft:'1px solid #000',
+                         backgroundColor:strip.color(rec),
+                         zIndex:1
+                       }}/>
+                );
+              })}
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+}
+
+export default React.memo(WeekRow);
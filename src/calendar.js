@@ -0,0 +1,74 @@
+// Calendar helpers shared by the week grid and the views built on it
+
+// Layout constants
+export const BADGE_ROW_HEIGHT = 12;
+export const WEEK_GAP         = 3;   // marginBottom + borderBottom per week
+
+// Background for padding days outside the selected range
+export const OUT_OF_RANGE_BG = '#FAFAFA';
+
+// Background for days an aircraft isn't on the line
+export const INACTIVE_BG = 'repeating-linear-gradient(45deg,#EEE 0 2px,transparent 2px 6px)';
+
+// METAR hours with no observation at all
+export const NO_DATA_BG = 'repeating-linear-gradient(-45deg,#AAA 0 1px,transparent 1px 3px)';
+
+// Night (after evening / before morning civil twilight) and twilight shading
+export const NIGHT_SHADE    = 'rgba(20,30,90,0.22)';
+export const TWILIGHT_SHADE = 'rgba(20,30,90,0.10)';
+
+// Night and twilight spans [from, to) in minutes of the day for sunMinutes()
+export function nightSpans(sun) {
+  if (!sun) return [];
+  return [
+    { from:0,          to:sun.dawn,    shade:NIGHT_SHADE },
+    { from:sun.dawn,   to:sun.sunrise, shade:TWILIGHT_SHADE },
+    { from:sun.sunset, to:sun.dusk,    shade:TWILIGHT_SHADE },
+    { from:sun.dusk,   to:1440,        shade:NIGHT_SHADE },
+  ].filter(s => s.to > s.from);
+}
+
+// Flyable time an aircraft sat on the ground
+export const IDLE_FLYABLE_BG = 'rgba(67,160,71,0.35)';
+
+// Width (px) of a special-observation marker, 1px of it the dark edge
+export const SPECI_PX = 3;
+
+// Build weeks Mon→Sun
+export function buildWeeks(start,end) {
+  const weeks = [];
+  const first = new Date(start);
+  first.setDate(first.getDate() - ((first.getDay()+6)%7));
+  let cur = new Date(first);
+  while(cur <= end) {
+    const wk = [];
+    for(let i=0;i<7;i++){
+      wk.push(new Date(cur));
+      cur.setDate(cur.getDate()+1);
+    }
+    weeks.push(wk);
+  }
+  return weeks;
+}
+
+// Day badge formatting
+export function formatBadge(d) {
+  const m = d.getMonth()+1, day = d.getDate(), y = d.getFullYear();
+  if (m === 1 && day === 1) return `${m}/${day}/${y}`;
+  if (day === 1)           return `${m}/${day}`;
+  return `${day}`;
+}
+
+// Local "YYYY-MM-DD" for a calendar day
+export function dayKey(d) {
+  return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
+}
+
+// Day‐of‐week background
+export function getBg(d) {
+  const wd = d.getDay();
+  if(wd===2||wd===4) return '#F5F5F5'; // Tue/Thu
+  if(wd===6)        return '#E6F9E6'; // Sat
+  if(wd===0)        return '#E6F0FF'; // Sun
+  return 'transparent';               // Mon/Wed/Fri
+}
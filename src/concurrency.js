@@ -0,0 +1,63 @@
+import { isActiveOn } from './fleet';
+import { keyToDate } from './flightModel';
+import { dayKey } from './calendar';
+
+// Fleet concurrency: how many aircraft are in use in each 15-minute slot of
+// a day, and when that is every aircraft on the line. An aircraft counts for
+// a slot it flies any part of; blocks past midnight carry into the next day.
+
+export const SLOT_MIN = 15;
+export const SLOTS = 1440 / SLOT_MIN;
+
+// segIndex ({ tail: { dKey: [segment] } }), the aircraft to count and the
+// day keys (in order) → { dKey: { counts: [SLOTS], of } }, `of` being how
+// many of the aircraft were on the line that day. The first day also gets
+// what carries over from the day before; an aircraft only counts on days it
+// is on the line, so counts never exceed `of`.
+export function fleetBusy(segIndex, fleet, days) {
+  const out = {};
+  days.forEach(k => {
+    out[k] = { counts:Array(SLOTS).fill(0), of:fleet.filter(ac => isActiveOn(ac, k)).length };
+  });
+  const from = days.length ? [dayKey(keyToDate(days[0], -1440)), ...days] : [];
+  fleet.forEach(ac => {
+    const active = days.map(k => isActiveOn(ac, k));
+    const marks = days.map(() => new Uint8Array(SLOTS));
+    from.forEach((k, i) => {
+      (segIndex[ac.tail]?.[k] || []).forEach(seg => {
+        for (let s = Math.floor(seg.sMin / SLOT_MIN); s * SLOT_MIN < seg.eMin; s++) {
+          const di = i - 1 + Math.floor(s / SLOTS);
+          if (di >= days.length) break;
+          if (di >= 0 && active[di]) marks[di][s % SLOTS] = 1;
+        }
+      });
+    });
+    marks.forEach((m, i) => m.forEach((v, s) => { out[days[i]].counts[s] += v; }));
+  });
+  return out;
+}
+
+// Is the slot fully booked: every aircraft on the line in use?
+export const isFull = (n, of) => of > 0 && n >= of;
+
+// One day's counts as runs of equal count: [{ from, to (minutes), n, full }]
+export function busyRuns({ counts, of }) {
+  const out = [];
+  counts.forEach((n, s) => {
+    const last = out[out.length - 1];
+    if (last && last.n === n) last.to += SLOT_MIN;
+    else out.push({ from:s * SLOT_MIN, to:(s + 1) * SLOT_MIN, n, full:isFull(n, of) });
+  });
+  return out.filter(r => r.n > 0);
+}
+
+// Fully booked time over the days: { minutes, days }
+export function fullyBooked(busy) {
+  let minutes = 0, days = 0;
+  Object.values(busy).forEach(({ counts, of }) => {
+    const n = counts.filter(c => isFull(c, of)).length;
+    minutes += n * SLOT_MIN;
+    if (n) days++;
+  });
+  return { minutes, days };
+}
@@ -0,0 +1,43 @@
+import { fleetBusy, busyRuns, fullyBooked, SLOTS } from './concurrency';
+
+const fleet = [
+  { tail:'N1', activeFrom:null, activeTo:null },
+  { tail:'N2', activeFrom:null, activeTo:'2024-06-10' },
+];
+const seg = (sMin, eMin) => ({ sMin, eMin });
+const days = ['2024-06-10', '2024-06-11'];
+
+test('aircraft in use per 15-minute slot', () => {
+  const busy = fleetBusy({
+    N1: { '2024-06-10':[seg(600, 660), seg(650, 670), seg(1410, 1470)] },
+    N2: { '2024-06-10':[seg(610, 640)] },
+  }, fleet, days);
+  const mon = busy['2024-06-10'];
+  expect(mon.of).toBe(2);
+  expect(mon.counts.length).toBe(SLOTS);
+  expect(mon.counts.slice(39, 46)).toEqual([0, 2, 2, 2, 1, 1, 0]);
+  expect(mon.counts[94]).toBe(1);
+  // N1's late block carries into Tuesday, when N2 is off the line
+  expect(busy['2024-06-11']).toMatchObject({ of:1 });
+  expect(busy['2024-06-11'].counts.slice(0, 3)).toEqual([1, 1, 0]);
+
+  expect(busyRuns(mon)).toEqual([
+    { from:600, to:645, n:2, full:true },
+    { from:645, to:675, n:1, full:false },
+    { from:1410, to:1440, n:1, full:false },
+  ]);
+  expect(fullyBooked(busy)).toEqual({ minutes:75, days:2 });
+});
+
+test('blocks carry in from the day before and skip days off the line', () => {
+  const busy = fleetBusy({
+    N1: { '2024-06-09':[seg(1380, 1500)] },
+    N2: { '2024-06-10':[seg(1380, 1530)] },
+  }, fleet, days);
+  // Sunday's late block still has N1 out until 01:00 Monday
+  expect(busy['2024-06-10'].counts.slice(0, 5)).toEqual([1, 1, 1, 1, 0]);
+  // N2 leaves the line after Monday: its late block doesn't count on Tuesday
+  expect(busy['2024-06-11']).toMatchObject({ of:1 });
+  expect(busy['2024-06-11'].counts.every(n => n === 0)).toBe(true);
+  expect(fullyBooked(busy)).toEqual({ minutes:0, days:0 });
+});
@@ -0,0 +1,120 @@
+// Runtime loading of the activity, METAR and TAF datasets (file picker, drag-and-drop
+// or a URL under public/) so refreshing data doesn't need a rebuild.
+// Raw flight-tracker history (CSV, or a JSON array of rows) is converted to
+// activity data on the way in.
+
+import { parseCSV, importFlights, isFlightRows } from './flightImporter';
+import { decodeMetar } from './metarDecoder';
+
+// Files served from public/data
+export const DEFAULT_URLS = {
+  activity: `${process.env.PUBLIC_URL || ''}/data/aircraft_activity.json`,
+  metar:    `${process.env.PUBLIC_URL || ''}/data/alb_metar.json`,
+  tracked:  `${process.env.PUBLIC_URL || ''}/data/aircraft_activity_15min_state_tracked.json`,
+};
+
+// Activity: { TAIL: { blocksByDate: { "YYYY-MM-DD": [["HHMM","HHMM"],...] }, ... }, ... }
+export function checkActivityShape(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json))
+    throw new Error('Activity data must be an object keyed by tail number');
+  const tails = Object.keys(json);
+  if (!tails.length) throw new Error('Activity data has no aircraft');
+  tails.forEach(t => {
+    const bbd = json[t]?.blocksByDate;
+    if (!bbd || typeof bbd !== 'object' || Array.isArray(bbd))
+      throw new Error(`${t}: missing blocksByDate`);
+    Object.entries(bbd).forEach(([dKey, blocks]) => {
+      if (!Array.isArray(blocks)) throw new Error(`${t} ${dKey}: blocks must be an array`);
+    });
+  });
+  return json;
+}
+
+// METAR: [{ local_time, flight_category, temp_C, dewpoint_C, raw_data, ... }, ...]
+export function checkMetarShape(json) {
+  if (!Array.isArray(json)) throw new Error('METAR data must be an array of observations');
+  if (!json.some(r => r && typeof r.local_time === 'string'))
+    throw new Error('METAR data has no records with local_time');
+  return json;
+}
+
+// TAF: [{ issue_time, raw_data: "TAF KALB 011730Z 0118/0218 ..." }, ...]
+export function checkTafShape(json) {
+  if (!Array.isArray(json)) throw new Error('TAF data must be an array of forecasts');
+  if (!json.some(r => typeof r?.raw_data === 'string' && /^TAF\b/.test(r.raw_data.trim())))
+    throw new Error('TAF data has no records starting with "TAF"');
+  return json;
+}
+
+// ICAO station a METAR file reports for: the first raw report's station,
+// else the file name ("gfl_metar.json" → "KGFL"), else 'UNKNOWN'
+export function metarStation(json, name = '') {
+  const rec = (json || []).find(r => r?.raw_data && decodeMetar(r.raw_data).station);
+  if (rec) return decodeMetar(rec.raw_data).station;
+  const m = String(name).match(/(?:^|[/\\])([a-z0-9]{3,4})_metar/i);
+  if (!m) return 'UNKNOWN';
+  const code = m[1].toUpperCase();
+  return code.length === 3 ? `K${code}` : code;
+}
+
+// 15-minute state-tracked activity (blocks + route per tail per day):
+//   { "YYYY-MM-DD": { TAIL: { minutes, blocks, from, to } } }
+export function checkTrackedShape(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json))
+    throw new Error('State-tracked data must be an object keyed by date');
+  Object.entries(json).forEach(([dKey, tails]) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dKey)) throw new Error(`${dKey}: not a date`);
+    if (!tails || typeof tails !== 'object') throw new Error(`${dKey}: expected tails`);
+  });
+  return json;
+}
+
+// Guess which dataset a parsed file holds
+export function detectDataset(json) {
+  if (Array.isArray(json))
+    return json.some(r => typeof r?.raw_data === 'string' && /^TAF\b/.test(r.raw_data.trim())) ? 'taf' : 'metar';
+  if (json && typeof json === 'object' &&
+      Object.values(json).some(v => v && typeof v === 'object' && 'blocksByDate' in v))
+    return 'activity';
+  if (json && typeof json === 'object' &&
+      Object.keys(json).length && Object.keys(json).every(k => /^\d{4}-\d{2}-\d{2}$/.test(k)) &&
+      Object.values(json).some(t => t && Object.values(t).some(v => v && Array.isArray(v.blocks))))
+    return 'tracked';
+  return null;
+}
+
+const CHECKS = { activity: checkActivityShape, metar: checkMetarShape, tracked: checkTrackedShape, taf: checkTafShape };
+
+// Parse + validate text; kind is forced or detected
+export function parseDataset(text, kind, name = '') {
+  if (/\.csv$/i.test(name)) {
+    const rows = parseCSV(text);
+    if (!isFlightRows(rows)) throw new Error('CSV is not flight-tracker history');
+    return { kind:'activity', data: checkActivityShape(importFlights(rows)) };
+  }
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Not valid JSON (${e.message})`);
+  }
+  if (isFlightRows(json) && kind !== 'metar' && kind !== 'taf')
+    return { kind:'activity', data: checkActivityShape(importFlights(json)) };
+  const k = kind || detectDataset(json);
+  if (!CHECKS[k]) throw new Error('Unrecognised data file');
+  return { kind: k, data: CHECKS[k](json) };
+}
+
+// File (picker / drop) → { kind, data }
+export async function loadFile(file, kind) {
+  const text = await file.text();
+  return parseDataset(text, kind, file.name);
+}
+
+// URL → { kind, data }
+export async function loadUrl(url, kind) {
+  if (typeof fetch !== 'function') throw new Error('fetch is not available');
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+  return parseDataset(await res.text(), kind, url);
+}
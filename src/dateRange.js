@@ -0,0 +1,64 @@
+// Date-range presets. Ranges are inclusive "YYYY-MM-DD" pairs. Relative
+// presets count back from the last day with data rather than from today,
+// since the datasets are historical.
+
+export const PRESETS = [
+  ['30d',   'Last 30 days'],
+  ['90d',   'Last 90 days'],
+  ['year',  'This year'],
+  ['all',   'All data'],
+  ['custom','Custom'],
+];
+
+function shift(dKey, days) {
+  const d = new Date(`${dKey}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0,10);
+}
+
+// First/last day covered by the flight segments and METAR records;
+// null when nothing is loaded
+export function dataExtent(segments, metarData) {
+  let start = null, end = null;
+  const see = k => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(k)) return;
+    if (!start || k < start) start = k;
+    if (!end   || k > end)   end   = k;
+  };
+  (segments || []).forEach(s => see(s.dKey));
+  (metarData || []).forEach(r => see(String(r?.local_time).slice(0,10)));
+  return start ? { start, end } : null;
+}
+
+// Range for a preset given the data extent
+export function presetRange(preset, extent) {
+  if (!extent) return null;
+  const { start, end } = extent;
+  const clamp = k => (k < start ? start : k);
+  switch (preset) {
+    case '30d':  return { start: clamp(shift(end, -29)), end };
+    case '90d':  return { start: clamp(shift(end, -89)), end };
+    case 'year': return { start: clamp(`${end.slice(0,4)}-01-01`), end };
+    default:     return { start, end };
+  }
+}
+
+// A (custom) range narrowed to the data extent; the whole extent when they
+// don't overlap, e.g. after loading a different dataset
+export function clampRange(range, extent) {
+  const start = range.start < extent.start ? extent.start : range.start;
+  const end   = range.end > extent.end ? extent.end : range.end;
+  return start <= end ? { start, end } : { ...extent };
+}
+
+// dKey inside the range?
+export function inRange(range, dKey) {
+  return !!range && dKey >= range.start && dKey <= range.end;
+}
+
+// Every day key in the range, in order
+export function rangeDays(range) {
+  const out = [];
+  for (let k = range.start; k <= range.end; k = shift(k, 1)) out.push(k);
+  return out;
+}
@@ -0,0 +1,35 @@
+import { dataExtent, presetRange, clampRange, inRange, rangeDays } from './dateRange';
+
+const extent = { start:'2024-03-15', end:'2024-06-30' };
+
+test('extent covers segments and METAR records', () => {
+  expect(dataExtent([{ dKey:'2024-05-02' }, { dKey:'2024-04-01' }],
+    [{ local_time:'2024-06-30T23:51:00-04:00' }, { local_time:'NaT' }])).toEqual({ start:'2024-04-01', end:'2024-06-30' });
+  expect(dataExtent([], [])).toBeNull();
+});
+
+test('presets count back from the last day, clamped to the first', () => {
+  expect(presetRange('30d', extent)).toEqual({ start:'2024-06-01', end:'2024-06-30' });
+  expect(presetRange('90d', extent)).toEqual({ start:'2024-04-02', end:'2024-06-30' });
+  expect(presetRange('90d', { start:'2024-05-01', end:'2024-06-30' })).toEqual({ start:'2024-05-01', end:'2024-06-30' });
+  expect(presetRange('year', extent)).toEqual({ start:'2024-03-15', end:'2024-06-30' });
+  expect(presetRange('year', { start:'2023-06-01', end:'2024-06-30' })).toEqual({ start:'2024-01-01', end:'2024-06-30' });
+  expect(presetRange('all', extent)).toEqual(extent);
+  expect(presetRange('30d', null)).toBeNull();
+});
+
+test('a custom range is kept inside the extent', () => {
+  expect(clampRange({ start:'2024-01-01', end:'2024-04-01' }, extent)).toEqual({ start:'2024-03-15', end:'2024-04-01' });
+  expect(clampRange({ start:'2024-05-01', end:'2024-08-01' }, extent)).toEqual({ start:'2024-05-01', end:'2024-06-30' });
+  expect(clampRange({ start:'2023-01-01', end:'2023-02-01' }, extent)).toEqual(extent);
+  expect(inRange(extent, '2024-06-30')).toBe(true);
+  expect(inRange(extent, '2024-07-01')).toBe(false);
+});
+
+test('range days cross month ends, leap days and DST changes one day at a time', () => {
+  expect(rangeDays({ start:'2024-02-28', end:'2024-03-01' })).toEqual(['2024-02-28', '2024-02-29', '2024-03-01']);
+  expect(rangeDays({ start:'2023-12-31', end:'2024-01-01' })).toEqual(['2023-12-31', '2024-01-01']);
+  expect(rangeDays({ start:'2024-03-09', end:'2024-03-11' })).toHaveLength(3);
+  expect(rangeDays({ start:'2024-11-02', end:'2024-11-04' })).toEqual(['2024-11-02', '2024-11-03', '2024-11-04']);
+  expect(rangeDays({ start:'2024-06-30', end:'2024-06-29' })).toEqual([]);
+});
@@ -0,0 +1,30 @@
+// Density altitude from a METAR altimeter setting (inHg) and temperature
+// (°C) at a field elevation (ft): pressure altitude from the standard
+// atmosphere, then the usual ~120 ft per °C above ISA.
+
+export const DEFAULT_FIELD_ELEVATION = 285;   // KALB, ft MSL
+export const DEFAULT_DA_THRESHOLD    = 3000;  // ft
+
+export function pressureAltitude(altimeter, elevation) {
+  return elevation + 145366.45 * (1 - Math.pow(altimeter / 29.9213, 0.190284));
+}
+
+// ft, rounded to 10; null without an altimeter or temperature
+export function densityAltitude(temp, altimeter, elevation) {
+  if (temp == null || altimeter == null || elevation == null) return null;
+  const pa = pressureAltitude(altimeter, elevation);
+  const isa = 15 - 1.98 * pa / 1000;
+  return Math.round((pa + 118.8 * (temp - isa)) / 10) * 10;
+}
+
+// Strip color: warming toward the threshold, red at or above it
+export function densityAltitudeColor(da, threshold) {
+  if (da == null)            return 'transparent';
+  if (da >= threshold)        return '#D7301F';
+  if (da >= threshold - 1000) return '#FC8D59';
+  if (da >= threshold - 2000) return '#FDD49E';
+  return '#FFF7EC';
+}
+
+export const densityAltitudeText = da =>
+  da == null ? 'DA n/a' : `DA ${da.toLocaleString('en-US')} ft`;
@@ -0,0 +1,23 @@
+import { pressureAltitude, densityAltitude, densityAltitudeColor } from './densityAltitude';
+
+test('pressure altitude from the altimeter setting', () => {
+  expect(pressureAltitude(29.92, 0)).toBeCloseTo(1, 0);
+  expect(pressureAltitude(28.92, 1000)).toBeGreaterThan(1900);
+  expect(pressureAltitude(28.92, 1000)).toBeLessThan(2000);
+});
+
+test('density altitude at standard and hot days', () => {
+  expect(Math.abs(densityAltitude(15, 29.92, 0))).toBeLessThanOrEqual(10);
+  // 285 ft field, 35 °C, 29.80: roughly 2,700 ft
+  const hot = densityAltitude(35, 29.80, 285);
+  expect(hot).toBeGreaterThan(2600);
+  expect(hot).toBeLessThan(2900);
+  expect(densityAltitude(-10, 30.40, 285)).toBeLessThan(0);
+  expect(densityAltitude(null, 29.92, 285)).toBeNull();
+});
+
+test('colors step up to the threshold', () => {
+  expect(densityAltitudeColor(3000, 3000)).toBe('#D7301F');
+  expect(densityAltitudeColor(2500, 3000)).not.toBe(densityAltitudeColor(500, 3000));
+  expect(densityAltitudeColor(null, 3000)).toBe('transparent');
+});
@@ -0,0 +1,53 @@
+// Fleet configuration (fleet.json): one entry per aircraft with
+//   tail, name, type, color, order, activeFrom, activeTo
+// activeFrom/activeTo are "YYYY-MM-DD" and either may be null (open-ended).
+
+// Fallback colors for entries without one
+const PALETTE = ['#8A2BE2','#2A9D8F','#264653','#E76F51','#F4A261','#6D597A','#1D3557'];
+
+// Validate + sort the raw config
+export function normalizeFleet(config) {
+  if (!Array.isArray(config)) throw new Error('Fleet config must be an array');
+  const seen = new Set();
+  return config
+    .map((ac, i) => {
+      if (!ac || typeof ac.tail !== 'string' || !ac.tail.trim())
+        throw new Error(`Fleet entry ${i} has no tail number`);
+      const tail = ac.tail.trim().toUpperCase();
+      if (seen.has(tail)) throw new Error(`Duplicate tail ${tail} in fleet config`);
+      seen.add(tail);
+      return {
+        tail,
+        name:       ac.name || tail,
+        type:       ac.type || '',
+        color:      ac.color || PALETTE[i % PALETTE.length],
+        order:      Number.isFinite(ac.order) ? ac.order : i,
+        activeFrom: ac.activeFrom || null,
+        activeTo:   ac.activeTo   || null,
+      };
+    })
+    .sort((a, b) => a.order - b.order || a.tail.localeCompare(b.tail));
+}
+
+// Is the aircraft on the line on this day ("YYYY-MM-DD")?
+export function isActiveOn(ac, dKey) {
+  if (ac.activeFrom && dKey < ac.activeFrom) return false;
+  if (ac.activeTo   && dKey > ac.activeTo)   return false;
+  return true;
+}
+
+// Aircraft active at any point in [startKey, endKey]
+export function fleetInRange(fleet, startKey, endKey) {
+  return fleet.filter(ac =>
+    (!ac.activeFrom || ac.activeFrom <= endKey) &&
+    (!ac.activeTo   || ac.activeTo   >= startKey)
+  );
+}
+
+// tail → color map
+export function fleetColors(fleet) {
+  return fleet.reduce((o, ac) => {
+    o[ac.tail] = ac.color;
+    return o;
+  }, {});
+}
@@ -0,0 +1,127 @@
+// Converts raw flight-tracker history rows (CSV or JSON) into the
+// { TAIL: { blocksByDate, ignored, duplicates, overlap } } structure the
+// viewer reads.
+//
+// A row becomes a block when it has a date, an actual departure (ATD) and an
+// arrival: ATD + FLIGHT TIME, else STA, else the time in "Landed h:mm PM".
+// Rows without those go to `ignored`, exact repeats of an accepted block go
+// to `duplicates`, and rows overlapping an accepted block go to `overlap`.
+// Flights past midnight are split into [st,"2400"] and ["0000",et].
+// Blocks carry the row's airports when known: [st, et, from, to].
+
+import { isBlank, parseRecordDate, parseClock, parseDuration, landedTime } from './flightRecords';
+
+// Minimal RFC 4180 CSV reader → array of objects keyed by the header row
+export function parseCSV(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i+1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i+1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  const [header, ...body] = rows.filter(r => r.some(f => f.trim()));
+  if (!header) return [];
+  const keys = header.map(h => h.trim());
+  return body.map(r => keys.reduce((o, k, i) => {
+    o[k] = (r[i] ?? '').trim();
+    return o;
+  }, {}));
+}
+
+// '(N756VH)' / 'N756VH' → 'N756VH'
+export function rowTail(row) {
+  const src = row.TAIL ?? row.REGISTRATION ?? row.FLIGHT;
+  const m = !isBlank(src) && String(src).toUpperCase().match(/N[0-9A-Z]{1,5}/);
+  return m ? m[0] : null;
+}
+
+// minutes → "HHMM"
+export function toHHMM(min) {
+  return `${String(Math.floor(min / 60)).padStart(2,'0')}${String(min % 60).padStart(2,'0')}`;
+}
+
+function shiftKey(dKey, days) {
+  const d = new Date(`${dKey}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0,10);
+}
+
+// { dKey, sMin, eMin } for a usable row, or null
+function flightSpan(row) {
+  const dKey = parseRecordDate(row.DATE);
+  const sMin = parseClock(row.ATD);
+  if (!dKey || sMin == null) return null;
+  const dur = parseDuration(row['FLIGHT TIME']);
+  let eMin = dur != null ? sMin + dur : parseClock(row.STA) ?? landedTime(row.STATUS);
+  if (eMin == null) return null;
+  if (eMin <= sMin && dur == null) eMin += 1440;   // arrival clock time after midnight
+  if (eMin <= sMin) return null;
+  return { dKey, sMin, eMin };
+}
+
+// rows → activity data. opts.start/opts.end ("YYYY-MM-DD") pad blocksByDate
+// with empty days and drop rows outside the range.
+export function importFlights(rows, { start, end } = {}) {
+  const out = {};
+  const entry = tail => out[tail] = out[tail] || { blocksByDate:{}, ignored:[], duplicates:[], overlap:[], spans:[] };
+
+  const usable = [];
+  rows.forEach(row => {
+    const tail = rowTail(row);
+    if (!tail) return;
+    const dKey = parseRecordDate(row.DATE);
+    if (dKey && ((start && dKey < start) || (end && dKey > end))) return;
+    const span = flightSpan(row);
+    if (!span) entry(tail).ignored.push(row);
+    else usable.push({ tail, row, ...span });
+  });
+
+  // Earliest departure wins an overlap
+  usable.sort((a, b) => a.dKey.localeCompare(b.dKey) || a.sMin - b.sMin || a.eMin - b.eMin);
+  usable.forEach(f => {
+    const e = entry(f.tail);
+    const t0 = Date.parse(`${f.dKey}T00:00:00Z`) / 60000;
+    const s = t0 + f.sMin, en = t0 + f.eMin;
+    if (e.spans.some(([a, b]) => a === s && b === en)) { e.duplicates.push(f.row); return; }
+    if (e.spans.some(([a, b]) => s < b && en > a))     { e.overlap.push(f.row);    return; }
+    e.spans.push([s, en]);
+    const route = [f.row.FROM, f.row.TO].map(v => isBlank(v) ? null : v);
+    const extra = route.some(Boolean) ? route : [];
+    for (let day = 0, from = f.sMin; from < f.eMin; day++, from = day * 1440) {
+      const to = Math.min(f.eMin, (day + 1) * 1440);
+      const key = shiftKey(f.dKey, day);
+      (e.blocksByDate[key] = e.blocksByDate[key] || []).push([toHHMM(from - day * 1440), toHHMM(to - day * 1440), ...extra]);
+    }
+  });
+
+  Object.values(out).forEach(e => {
+    delete e.spans;
+    const keys = Object.keys(e.blocksByDate).sort();
+    const first = start || keys[0], last = end || keys[keys.length - 1];
+    const bbd = {};
+    if (first && last)
+      for (let k = first; k <= last; k = shiftKey(k, 1)) bbd[k] = e.blocksByDate[k] || [];
+    keys.forEach(k => { if (!bbd[k]) bbd[k] = e.blocksByDate[k]; });
+    Object.values(bbd).forEach(b => b.sort((x, y) => x[0].localeCompare(y[0])));
+    e.blocksByDate = bbd;
+  });
+  return out;
+}
+
+// Rows that look like flight-tracker history?
+export function isFlightRows(json) {
+  return Array.isArray(json) && json.length > 0 &&
+    json.every(r => r && typeof r === 'object' && 'DATE' in r && ('ATD' in r || 'STD' in r));
+}
@@ -0,0 +1,90 @@
+import { parseCSV, importFlights, rowTail, isFlightRows } from './flightImporter';
+
+const row = (DATE, ATD, FT, STA, STATUS = 'Landed', extra = {}) => ({
+  DATE, FROM:'—', TO:'—', FLIGHT:'(N756VH)',
+  'FLIGHT TIME':FT, STD:'—', ATD, STA, STATUS, ...extra,
+});
+
+test('parseCSV handles quotes, embedded commas and CRLF', () => {
+  const csv = '\uFEFFDATE,FROM,STATUS\r\n16 Aug 2024,"Albany, NY (ALB)","Landed 3:57 PM"\r\n\r\n17 Aug 2024,"say ""hi""",Unknown\n';
+  expect(parseCSV(csv)).toEqual([
+    { DATE:'16 Aug 2024', FROM:'Albany, NY (ALB)', STATUS:'Landed 3:57 PM' },
+    { DATE:'17 Aug 2024', FROM:'say "hi"', STATUS:'Unknown' },
+  ]);
+});
+
+test('rowTail reads the FLIGHT column', () => {
+  expect(rowTail({ FLIGHT:'(N756VH)' })).toBe('N756VH');
+  expect(rowTail({ TAIL:'n65620' })).toBe('N65620');
+  expect(rowTail({ FLIGHT:'—' })).toBeNull();
+});
+
+test('12-hour times become HHMM blocks; end is ATD + flight time', () => {
+  const out = importFlights([row('16 Aug 2024','2:02 PM','1:54','3:57 PM','Landed 3:57 PM')]);
+  expect(out.N756VH.blocksByDate).toEqual({ '2024-08-16': [['1402','1556']] });
+});
+
+test('falls back to STA, then the Landed time', () => {
+  const out = importFlights([
+    row('16 Aug 2024','9:00 AM','—','10:15 AM'),
+    row('16 Aug 2024','12:00 PM','—','—','Landed 12:45 PM'),
+  ]);
+  expect(out.N756VH.blocksByDate['2024-08-16']).toEqual([['0900','1015'],['1200','1245']]);
+});
+
+test('rows without ATD or any arrival are ignored', () => {
+  const noAtd = row('26 May 2025','—','—','10:05 AM','Landed 10:05 AM');
+  const noEnd = row('30 May 2025','5:14 PM','—','—','Unknown');
+  const out = importFlights([noAtd, noEnd]);
+  expect(out.N756VH.ignored).toEqual([noAtd, noEnd]);
+  expect(out.N756VH.blocksByDate).toEqual({});
+});
+
+test('overnight flights are split at midnight', () => {
+  const out = importFlights([
+    row('07 Aug 2024','11:31 PM','—','12:20 AM'),
+    row('08 Aug 2024','10:00 PM','3:00','—'),
+  ]);
+  expect(out.N756VH.blocksByDate).toEqual({
+    '2024-08-07': [['2331','2400']],
+    '2024-08-08': [['0000','0020'],['2200','2400']],
+    '2024-08-09': [['0000','0100']],
+  });
+});
+
+test('repeats are duplicates, intersecting rows are overlaps', () => {
+  const a   = row('29 Jul 2024','4:32 PM','0:36','5:08 PM');
+  const dup = { ...a, STD:'4:30 PM' };
+  const ovl = row('29 Jul 2024','5:00 PM','0:30','5:30 PM');
+  const out = importFlights([ovl, a, dup]);
+  expect(out.N756VH.blocksByDate['2024-07-29']).toEqual([['1632','1708']]);
+  expect(out.N756VH.duplicates).toEqual([dup]);
+  expect(out.N756VH.overlap).toEqual([ovl]);
+});
+
+test('blocks carry the airports when known', () => {
+  const out = importFlights([
+    row('01 Sep 2024','2:49 PM','0:42','3:31 PM','Landed', { FROM:'Jaffrey (AFN)', TO:'Albany (ALB)' }),
+    row('02 Sep 2024','9:00 AM','1:00','—','Landed', { FROM:'Albany (ALB)' }),
+  ]);
+  expect(out.N756VH.blocksByDate).toEqual({
+    '2024-09-01': [['1449','1531','Jaffrey (AFN)','Albany (ALB)']],
+    '2024-09-02': [['0900','1000','Albany (ALB)',null]],
+  });
+});
+
+test('start/end pad empty days and drop rows outside the range', () => {
+  const out = importFlights([
+    row('02 Jul 2024','9:00 AM','1:00','—'),
+    row('05 Jul 2024','9:00 AM','1:00','—'),
+  ], { start:'2024-07-01', end:'2024-07-03' });
+  expect(out.N756VH.blocksByDate).toEqual({
+    '2024-07-01': [], '2024-07-02': [['0900','1000']], '2024-07-03': [],
+  });
+});
+
+test('isFlightRows recognises tracker rows', () => {
+  expect(isFlightRows([row('16 Aug 2024','2:02 PM','1:54','3:57 PM')])).toBe(true);
+  expect(isFlightRows([{ local_time:'x' }])).toBe(false);
+  expect(isFlightRows([])).toBe(false);
+});
@@ -0,0 +1,110 @@
+// Normalised in-memory flight model. Both activity formats become a flat list
+// of segments so views work with numbers and Dates instead of "HHMM" strings:
+//
+//   { tail, dKey, sMin, eMin, start, end, st, et, from, to, kind, source }
+//
+// dKey is the local day the segment is drawn on, sMin/eMin are minutes after
+// that midnight (eMin > 1440 for blocks that wrap past midnight), start/end
+// are the matching local Dates, and source is 'blocks' (blocksByDate) or
+// 'tracked' (the 15-minute state-tracked file).
+
+import { blockProblem, parseHHMM } from './validate';
+import { routeKind } from './routes';
+import { isBlank } from './flightRecords';
+
+// "YYYY-MM-DD" + minutes → local Date
+export function keyToDate(dKey, min = 0) {
+  const [y, m, d] = dKey.split('-').map(Number);
+  return new Date(y, m - 1, d, 0, min);
+}
+
+function segment(tail, dKey, st, et, from, to, source) {
+  const sMin = parseHHMM(st);
+  let eMin = parseHHMM(et);
+  if (eMin <= sMin) eMin += 1440;
+  const f = isBlank(from) ? null : from, t = isBlank(to) ? null : to;
+  return {
+    tail, dKey, sMin, eMin,
+    start: keyToDate(dKey, sMin),
+    end:   keyToDate(dKey, eMin),
+    st, et, from:f, to:t,
+    kind: routeKind(f, t),
+    source,
+  };
+}
+
+// aircraft_activity.json: { TAIL: { blocksByDate: { dKey: [[st,et,from?,to?]] } } }
+export function segmentsFromBlocks(data) {
+  const out = [];
+  Object.entries(data || {}).forEach(([tail, rec]) => {
+    Object.entries(rec?.blocksByDate || {}).forEach(([dKey, blocks]) => {
+      (blocks || []).forEach(b => {
+        if (blockProblem(b)) return;
+        out.push(segment(tail, dKey, b[0], b[1], b[2], b[3], 'blocks'));
+      });
+    });
+  });
+  return out;
+}
+
+// A day's from/to → the i-th of n blocks' ends. Only a single block is known
+// to go all the way; otherwise the first leaves from the day's origin, the
+// last ends at its destination and the ends in between are unknown.
+function dayLeg(route, i, n) {
+  return { from: i === 0 ? route.from : null, to: i === n - 1 ? route.to : null };
+}
+
+// aircraft_activity_15min_state_tracked.json:
+//   { dKey: { TAIL: { minutes, blocks: [[st,et]], from, to } } }
+export function segmentsFromTracked(json) {
+  const out = [];
+  Object.entries(json || {}).forEach(([dKey, tails]) => {
+    Object.entries(tails || {}).forEach(([tail, rec]) => {
+      const blocks = (rec?.blocks || []).filter(b => !blockProblem(b))
+        .sort((a, b) => parseHHMM(a[0]) - parseHHMM(b[0]));
+      blocks.forEach((b, i) => {
+        const leg = dayLeg(rec, i, blocks.length);
+        out.push(segment(tail, dKey, b[0], b[1], leg.from, leg.to, 'tracked'));
+      });
+    });
+  });
+  return out;
+}
+
+// segments → { "TAIL dKey": [segment] } in time order
+function byTailDay(segments) {
+  const out = {};
+  segments.forEach(s => (out[`${s.tail} ${s.dKey}`] = out[`${s.tail} ${s.dKey}`] || []).push(s));
+  Object.values(out).forEach(day => day.sort((a, b) => a.start - b.start));
+  return out;
+}
+
+// Combine the two sources. `primary` wins: secondary segments that overlap a
+// primary one for the same tail are dropped, but lend the day's origin and
+// destination to primary segments on the same day that have no airports,
+// by position among the day's merged blocks as in dayLeg().
+export function mergeSegments(primary, secondary) {
+  const byTail = {};
+  primary.forEach(s => (byTail[s.tail] = byTail[s.tail] || []).push(s));
+  const kept = secondary.filter(s =>
+    !(byTail[s.tail] || []).some(p => s.start < p.end && s.end > p.start));
+  const days = byTailDay([...primary, ...kept]), lenders = byTailDay(secondary);
+  const merged = primary.map(s => {
+    const k = `${s.tail} ${s.dKey}`, lender = lenders[k];
+    if (s.from || s.to || !lender) return s;
+    const route = { from:lender[0].from, to:lender[lender.length-1].to };
+    const leg = dayLeg(route, days[k].indexOf(s), days[k].length);
+    return { ...s, ...leg, kind:routeKind(leg.from, leg.to) };
+  });
+  return [...merged, ...kept].sort((a, b) => a.start - b.start);
+}
+
+// segments → { tail: { dKey: [segment] } }
+export function indexSegments(segments) {
+  const idx = {};
+  segments.forEach(s => {
+    const t = idx[s.tail] = idx[s.tail] || {};
+    (t[s.dKey] = t[s.dKey] || []).push(s);
+  });
+  return idx;
+}
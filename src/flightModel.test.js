@@ -0,0 +1,71 @@
+import { segmentsFromBlocks, segmentsFromTracked, mergeSegments, indexSegments } from './flightModel';
+
+const blocks = {
+  N1: { blocksByDate: {
+    '2024-08-01': [['0940','1020'],['2300','0030','Albany (ALB)','Albany (ALB)'],['bad','1000']],
+  } },
+};
+const tracked = {
+  '2024-08-01': {
+    N1: { minutes:[], blocks:[['1000','1100'],['1400','1500']], from:'GLENS FALLS (GFL)', to:'ALBANY (ALB)' },
+    N2: { minutes:[], blocks:[['0800','0900']], from:'ALBANY (ALB)', to:'—' },
+  },
+};
+
+test('adapters produce segments with minutes, Dates and routes', () => {
+  const [a, b] = segmentsFromBlocks(blocks);
+  expect(a).toMatchObject({ tail:'N1', dKey:'2024-08-01', sMin:580, eMin:620, source:'blocks', kind:'unknown' });
+  expect(a.start).toEqual(new Date(2024, 7, 1, 9, 40));
+  expect(b).toMatchObject({ sMin:1380, eMin:1470, kind:'local' });
+  expect(b.end).toEqual(new Date(2024, 7, 2, 0, 30));
+  expect(segmentsFromBlocks(blocks)).toHaveLength(2);
+
+  const t = segmentsFromTracked(tracked);
+  expect(t).toHaveLength(3);
+  expect(t[0]).toMatchObject({ tail:'N1', source:'tracked', from:'GLENS FALLS (GFL)' });
+  expect(t[2]).toMatchObject({ tail:'N2', to:null, kind:'unknown' });
+});
+
+test('a day\'s route covers a single block, or the ends of several', () => {
+  const day = blocks => segmentsFromTracked({ '2024-08-01': { N1: { minutes:[], blocks, from:'GFL', to:'ALB' } } })
+    .map(s => `${s.st} ${s.from} ${s.to} ${s.kind}`);
+  expect(day([['1000','1100']])).toEqual(['1000 GFL ALB xc']);
+  expect(day([['1500','1600'],['1000','1100'],['1200','1300']])).toEqual([
+    '1000 GFL null unknown',
+    '1200 null null unknown',
+    '1500 null ALB unknown',
+  ]);
+});
+
+test('merge keeps primary, drops overlapping secondary, borrows routes', () => {
+  const merged = mergeSegments(segmentsFromBlocks(blocks), segmentsFromTracked(tracked));
+  expect(merged.map(s => `${s.tail} ${s.st} ${s.source} ${s.kind}`)).toEqual([
+    'N2 0800 tracked unknown',
+    'N1 0940 blocks unknown',
+    'N1 1400 tracked unknown',
+    'N1 2300 blocks local',
+  ]);
+  const idx = indexSegments(merged);
+  expect(idx.N1['2024-08-01']).toHaveLength(3);
+  expect(idx.N2['2024-08-01']).toHaveLength(1);
+});
+
+test('primary blocks borrow the day\'s ends by position', () => {
+  const primary = segmentsFromBlocks({ N1: { blocksByDate: {
+    '2024-08-01': [['0900','0930'],['1300','1330']],
+    '2024-08-02': [['0900','0930']],
+    '2024-08-03': [['0900','0930']],
+  } } });
+  const secondary = segmentsFromTracked({
+    '2024-08-01': { N1: { minutes:[], blocks:[['0900','0930']], from:'GFL', to:'GFL' } },
+    '2024-08-02': { N1: { minutes:[], blocks:[['0900','0930'],['1300','1330']], from:'GFL', to:'ALB' } },
+    '2024-08-03': { N1: { minutes:[], blocks:[['0905','0925']], from:'GFL', to:'ALB' } },
+  });
+  expect(mergeSegments(primary, secondary).map(s => `${s.dKey} ${s.st} ${s.from} ${s.to} ${s.kind}`)).toEqual([
+    '2024-08-01 0900 GFL null unknown',
+    '2024-08-01 1300 null GFL unknown',
+    '2024-08-02 0900 GFL null unknown',   // tracked shows a second leg
+    '2024-08-02 1300 null ALB unknown',
+    '2024-08-03 0900 GFL ALB xc',
+  ]);
+});
@@ -0,0 +1,69 @@
+// Helpers for the raw flight-tracker rows kept in ignored/overlap/duplicates:
+//   { DATE:'16 Aug 2024', FROM, TO, FLIGHT, 'FLIGHT TIME':'1:54',
+//     STD:'3:57 PM', ATD:'2:02 PM', STA:'3:57 PM', STATUS:'Landed 3:57 PM' }
+// Missing values come through as '—'.
+
+const MONTHS = {jan:1,feb:2,mar:3,apr:4,may:5,jun:6,jul:7,aug:8,sep:9,oct:10,nov:11,dec:12};
+
+// Placeholder / empty?
+export function isBlank(v) {
+  return v == null || /^\s*(—|-|–|n\/a)?\s*$/i.test(String(v));
+}
+
+// '16 Aug 2024' → '2024-08-16'
+export function parseRecordDate(s) {
+  if (isBlank(s)) return null;
+  const m = String(s).trim().match(/^(\d{1,2})\s+([A-Za-z]{3})[A-Za-z]*\s+(\d{4})$/);
+  const mo = m && MONTHS[m[2].toLowerCase()];
+  if (!mo) return null;
+  return `${m[3]}-${String(mo).padStart(2,'0')}-${m[1].padStart(2,'0')}`;
+}
+
+// '3:57 PM' (or 24-hour '15:57') → minutes after midnight
+export function parseClock(s) {
+  if (isBlank(s)) return null;
+  const m = String(s).trim().match(/^(\d{1,2}):(\d{2})\s*([AaPp][Mm])?$/);
+  if (!m) return null;
+  let h = +m[1];
+  const min = +m[2], ap = m[3]?.toUpperCase();
+  if (min > 59) return null;
+  if (ap) {
+    if (h < 1 || h > 12) return null;
+    h = h % 12 + (ap === 'PM' ? 12 : 0);
+  } else if (h > 23) return null;
+  return h * 60 + min;
+}
+
+// '1:54' → 114
+export function parseDuration(s) {
+  if (isBlank(s)) return null;
+  const m = String(s).trim().match(/^(\d+):(\d{2})$/);
+  return m ? +m[1] * 60 + +m[2] : null;
+}
+
+// 'Landed 3:57 PM' → minutes, null for other statuses
+export function landedTime(status) {
+  const m = !isBlank(status) && String(status).match(/^Landed\s+(.+)$/i);
+  return m ? parseClock(m[1]) : null;
+}
+
+// Best-effort time span of a row:
+//   { dKey, sMin, eMin } with eMin > sMin (+1440 for overnight);
+//   sMin/eMin are null when the row carries no usable time.
+export function recordSpan(row) {
+  const dKey = parseRecordDate(row?.DATE);
+  const sMin = parseClock(row?.ATD) ?? parseClock(row?.STD);
+  if (sMin == null) return { dKey, sMin:null, eMin:null };
+  const dur = parseDuration(row['FLIGHT TIME']);
+  let eMin = parseClock(row?.ATD) != null && dur != null
+    ? sMin + dur
+    : parseClock(row.STA) ?? landedTime(row.STATUS);
+  if (eMin == null) eMin = sMin;
+  else if (eMin < sMin) eMin += 1440;
+  return { dKey, sMin, eMin };
+}
+
+// One-line-per-field tooltip text
+export function recordText(row) {
+  return Object.entries(row || {}).map(([k,v]) => `${k}: ${v}`).join('\n');
+}
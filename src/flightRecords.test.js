@@ -0,0 +1,35 @@
+import { parseClock, recordSpan } from './flightRecords';
+
+const row = fields => ({ DATE:'16 Aug 2024', FROM:'GLENS FALLS (GFL)', TO:'ALBANY (ALB)',
+  STD:'—', ATD:'—', STA:'—', 'FLIGHT TIME':'—', STATUS:'—', ...fields });
+
+test('12-hour and 24-hour clock times', () => {
+  expect(parseClock('3:57 PM')).toBe(957);
+  expect(parseClock('12:05 AM')).toBe(5);
+  expect(parseClock('12:30 pm')).toBe(750);
+  expect(parseClock('15:57')).toBe(957);
+  expect(parseClock('13:00 PM')).toBeNull();
+  expect(parseClock('0:00 AM')).toBeNull();
+  expect(parseClock('24:00')).toBeNull();
+  expect(parseClock('—')).toBeNull();
+});
+
+test('actual departure plus flight time, else scheduled arrival or landing', () => {
+  expect(recordSpan(row({ STD:'1:55 PM', ATD:'2:02 PM', STA:'3:57 PM', 'FLIGHT TIME':'1:54' })))
+    .toEqual({ dKey:'2024-08-16', sMin:842, eMin:956 });
+  // No flight time: the scheduled arrival
+  expect(recordSpan(row({ ATD:'2:02 PM', STA:'3:57 PM' }))).toMatchObject({ sMin:842, eMin:957 });
+  // No actual departure: the schedule, even with a flight time
+  expect(recordSpan(row({ STD:'1:55 PM', STA:'3:57 PM', 'FLIGHT TIME':'1:54' }))).toMatchObject({ sMin:835, eMin:957 });
+  // No scheduled arrival: the landing in the status
+  expect(recordSpan(row({ STD:'1:55 PM', STATUS:'Landed 4:10 PM' }))).toMatchObject({ sMin:835, eMin:970 });
+  // Nothing for the end: a zero-length span
+  expect(recordSpan(row({ ATD:'2:02 PM', STATUS:'Scheduled' }))).toMatchObject({ sMin:842, eMin:842 });
+  expect(recordSpan(row({}))).toEqual({ dKey:'2024-08-16', sMin:null, eMin:null });
+});
+
+test('flights past midnight end on the next day', () => {
+  expect(recordSpan(row({ ATD:'11:30 PM', 'FLIGHT TIME':'1:00' }))).toMatchObject({ sMin:1410, eMin:1470 });
+  expect(recordSpan(row({ STD:'11:00 PM', STA:'12:40 AM' }))).toMatchObject({ sMin:1380, eMin:1480 });
+  expect(recordSpan(row({ STD:'10:50 PM', STATUS:'Landed 0:20' }))).toMatchObject({ sMin:1370, eMin:1460 });
+});
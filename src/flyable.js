@@ -0,0 +1,102 @@
+import { isActiveOn } from './fleet';
+import { keyToDate } from './flightModel';
+import { dayKey } from './calendar';
+import { weekdayIndex } from './heatmap';
+import { changesDuring, obsAt } from './weatherInEffect';
+
+// Flyable but unused: time with VFR or MVFR in effect, in daylight and inside
+// the operating window, when an aircraft on the line sat on the ground.
+// Spans are { from, to } minutes after the day's midnight.
+
+export const FLYABLE = ['VFR','MVFR'];
+
+// Spans with any part covered by a cut removed
+function subtract(spans, cuts) {
+  let out = spans;
+  cuts.forEach(c => {
+    out = out.flatMap(s => (c.to <= s.from || c.from >= s.to ? [s] : [
+      ...(c.from > s.from ? [{ from:s.from, to:c.from }] : []),
+      ...(c.to < s.to ? [{ from:c.to, to:s.to }] : []),
+    ]));
+  });
+  return out;
+}
+
+const total = spans => spans.reduce((n, s) => n + s.to - s.from, 0);
+
+// Local Date → minutes after dKey's midnight, clamped to the day
+function dayMinute(d, dKey) {
+  const k = dayKey(d);
+  if (k !== dKey) return k < dKey ? 0 : 1440;
+  return d.getHours() * 60 + d.getMinutes();
+}
+
+// One day's flyable spans from the weather-in-effect timeline (see
+// weatherInEffect.js, so a special cuts into the hour it was issued in),
+// sun times ({ sunrise, sunset } minutes; missing ones leave that end open)
+// and the operating window ({ from, to } minutes). Time with no observation
+// in effect is not flyable: nobody can say it was.
+export function flyableSpans(timeline, dKey, sun, win) {
+  const from = Math.max(win.from, sun?.sunrise ?? 0);
+  const to   = Math.min(win.to, sun?.sunset ?? 1440);
+  if (to <= from) return [];
+  const points = [...new Set([
+    from,
+    ...changesDuring(timeline, keyToDate(dKey, from).getTime(), keyToDate(dKey, to).getTime())
+      .map(t => dayMinute(new Date(t), dKey)),
+    to,
+  ])].sort((a, b) => a - b);
+  const out = [];
+  points.slice(1).forEach((e, i) => {
+    const s = points[i];
+    const mid = keyToDate(dKey, s).getTime() + (e - s) * 30000;   // clear of the edges
+    if (!FLYABLE.includes(obsAt(timeline, mid)?.flight_category)) return;
+    const last = out[out.length - 1];
+    if (last && last.to === s) last.to = e;
+    else out.push({ from:s, to:e });
+  });
+  return out;
+}
+
+// segIndex ({ tail: { dKey: [segment] } }), the aircraft, the day keys (in
+// order) and dKey → flyableSpans() →
+//   { spans:    { tail: { dKey: [span] } } idle flyable time,
+//     tails:    [{ tail, flyable, idle }],
+//     weekdays: [{ flyable, idle }] Monday first,
+//     months:   [{ month, flyable, idle }] }
+// flyable and idle are aircraft-minutes over the days each aircraft was on
+// the line. Blocks past midnight keep the aircraft busy into the next day,
+// including the first day's from the day before the range.
+export function unusedFlyable(segIndex, fleet, days, flyable) {
+  const spans = {};
+  const tails = fleet.map(ac => ({ tail:ac.tail, flyable:0, idle:0 }));
+  const weekdays = Array.from({ length:7 }, () => ({ flyable:0, idle:0 }));
+  const months = {};
+
+  days.forEach(k => {
+    const day = flyable[k] || [];
+    if (!day.length) return;
+    const prev = dayKey(keyToDate(k, -1440));
+    const wd = weekdays[weekdayIndex(k)];
+    const mo = months[k.slice(0,7)] = months[k.slice(0,7)] || { month:k.slice(0,7), flyable:0, idle:0 };
+    fleet.forEach((ac, ti) => {
+      if (!isActiveOn(ac, k)) return;
+      const segs = segIndex[ac.tail] || {};
+      const cuts = [
+        ...(segs[k] || []).map(s => ({ from:s.sMin, to:s.eMin })),
+        ...(segs[prev] || []).map(s => ({ from:s.sMin - 1440, to:s.eMin - 1440 })),
+      ];
+      const idle = subtract(day, cuts);
+      const f = total(day), n = total(idle);
+      [tails[ti], wd, mo].forEach(o => { o.flyable += f; o.idle += n; });
+      if (idle.length) (spans[ac.tail] = spans[ac.tail] || {})[k] = idle;
+    });
+  });
+
+  return {
+    spans,
+    tails,
+    weekdays,
+    months: Object.values(months).sort((a, b) => (a.month < b.month ? -1 : 1)),
+  };
+}
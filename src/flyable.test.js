@@ -0,0 +1,56 @@
+import { flyableSpans, unusedFlyable } from './flyable';
+import { buildTimeline } from './weatherInEffect';
+import { keyToDate } from './flightModel';
+
+const win = { from:420, to:1260 };
+const sun = { sunrise:450, sunset:1200 };
+const day = '2024-06-10';
+const obs = (hhmm, flight_category) => ({
+  local_time: keyToDate(day, +hhmm.slice(0,2) * 60 + +hhmm.slice(2)).toISOString(), flight_category,
+});
+
+test('flyable: VFR/MVFR in effect in daylight and the operating window', () => {
+  const timeline = buildTimeline([
+    obs('0651','VFR'), obs('0751','VFR'), obs('0851','MVFR'),
+    obs('0920','IFR'),                     // special inside the hour
+    obs('0951','VFR'), obs('1051','VFR'),  // then nothing until evening
+    obs('1851','VFR'), obs('1951','VFR'),
+  ]);
+  expect(flyableSpans(timeline, day, sun, win)).toEqual([
+    { from:450, to:560 },     // 07:30 sunrise to the IFR special
+    { from:591, to:741 },     // 10:51 goes stale at 12:21
+    { from:1131, to:1200 },   // sunset at 20:00
+  ]);
+  // Nothing in effect before the 06:51 report
+  expect(flyableSpans(timeline, day, null, { from:360, to:480 })).toEqual([{ from:411, to:480 }]);
+  expect(flyableSpans([], day, sun, win)).toEqual([]);
+});
+
+test('idle flyable time per aircraft, weekday and month', () => {
+  const fleet = [
+    { tail:'N1', activeFrom:null, activeTo:null },
+    { tail:'N2', activeFrom:'2024-06-11', activeTo:null },
+  ];
+  const segIndex = {
+    N1: { '2024-06-10':[{ sMin:1380, eMin:1530 }], '2024-06-11':[{ sMin:600, eMin:630 }] },
+  };
+  const days = ['2024-06-10', '2024-06-11'];
+  const flyable = { '2024-06-10':[{ from:600, to:660 }], '2024-06-11':[{ from:0, to:120 }, { from:600, to:660 }] };
+  const r = unusedFlyable(segIndex, fleet, days, flyable);
+
+  // Tuesday: N1 busy until 01:30 from Monday's late block and 10:00–10:30
+  expect(r.spans.N1['2024-06-11']).toEqual([{ from:90, to:120 }, { from:630, to:660 }]);
+  expect(r.spans.N2['2024-06-11']).toEqual(flyable['2024-06-11']);
+  expect(r.spans.N2['2024-06-10']).toBeUndefined();
+  expect(r.tails).toEqual([
+    { tail:'N1', flyable:240, idle:120 },
+    { tail:'N2', flyable:180, idle:180 },
+  ]);
+  expect(r.weekdays[0]).toEqual({ flyable:60, idle:60 });
+  expect(r.weekdays[1]).toEqual({ flyable:360, idle:240 });
+  expect(r.months).toEqual([{ month:'2024-06', flyable:420, idle:300 }]);
+
+  // From Tuesday on, Monday's late block still covers 00:00–01:30
+  const tue = unusedFlyable(segIndex, fleet, ['2024-06-11'], flyable);
+  expect(tue.spans.N1['2024-06-11']).toEqual(r.spans.N1['2024-06-11']);
+});
@@ -0,0 +1,61 @@
+import { isActiveOn } from './fleet';
+import { keyToDate } from './flightModel';
+import { rangeDays } from './dateRange';
+import { dayKey } from './calendar';
+
+// Weekday × hour demand: how many aircraft were flying in each hour of the
+// week over a date range. Weekdays run Monday first, as on the calendar;
+// blocks past midnight count towards the next day, including the first
+// day's from the day before the range.
+
+export const WEEKDAYS = ['Mon','Tue','Wed','Thu','Fri','Sat','Sun'];
+
+// Monday-first weekday index of a day key
+export function weekdayIndex(dKey) {
+  return (keyToDate(dKey).getDay() + 6) % 7;
+}
+
+// segIndex ({ tail: { dKey: [segment] } }), the aircraft to count, an
+// inclusive { start, end } range and a segment predicate →
+//   { cells: [weekday][hour] { minutes, mean, peak, full }, days: [count] }
+// minutes are aircraft-minutes flown in the hour, mean the aircraft in use
+// on an average such hour, peak the most aircraft in use at some point in
+// it on any one day and full the days all the aircraft counted that day were
+export function demandHeatmap(segIndex, fleet, range, keep = () => true) {
+  const keys = rangeDays(range);
+  const days = Array(7).fill(0);
+  const cells = WEEKDAYS.map(() => Array.from({ length:24 }, () => ({ minutes:0, mean:0, peak:0, full:0 })));
+  const busy = keys.map(() => Array.from({ length:24 }, () => new Set()));   // tails per hour of each day
+  const wds = keys.map(weekdayIndex);
+  const active = keys.map(k => fleet.filter(ac => isActiveOn(ac, k)).length);
+  const from = keys.length ? [dayKey(keyToDate(keys[0], -1440)), ...keys] : [];
+
+  wds.forEach(wd => days[wd]++);
+  fleet.forEach(ac => {
+    const on = keys.map(k => isActiveOn(ac, k));
+    from.forEach((k, i) => {
+      (segIndex[ac.tail]?.[k] || []).filter(keep).forEach(seg => {
+        for (let h = Math.floor(seg.sMin / 60); h * 60 < seg.eMin; h++) {
+          const di = i - 1 + Math.floor(h / 24);
+          if (di >= keys.length) break;
+          if (di < 0 || !on[di]) continue;
+          cells[wds[di]][h % 24].minutes +=
+            Math.min(seg.eMin, (h + 1) * 60) - Math.max(seg.sMin, h * 60);
+          busy[di][h % 24].add(ac.tail);
+        }
+      });
+    });
+  });
+
+  busy.forEach((hours, i) => {
+    hours.forEach((tails, h) => {
+      const c = cells[wds[i]][h];
+      c.peak = Math.max(c.peak, tails.size);
+      if (tails.size && tails.size >= active[i]) c.full++;
+    });
+  });
+  cells.forEach((hours, wd) => hours.forEach(c => {
+    c.mean = days[wd] ? c.minutes / 60 / days[wd] : 0;
+  }));
+  return { cells, days };
+}
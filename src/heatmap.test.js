@@ -0,0 +1,46 @@
+import { demandHeatmap, weekdayIndex } from './heatmap';
+
+const fleet = [
+  { tail:'N1', activeFrom:null, activeTo:null },
+  { tail:'N2', activeFrom:null, activeTo:null },
+];
+const seg = (sMin, eMin, extra) => ({ sMin, eMin, ...extra });
+
+test('weekdays run Monday first', () => {
+  expect(weekdayIndex('2024-06-10')).toBe(0);
+  expect(weekdayIndex('2024-06-16')).toBe(6);
+});
+
+test('aircraft in use per weekday and hour', () => {
+  const segIndex = {
+    N1: { '2024-06-10':[seg(600, 690)], '2024-06-17':[seg(600, 660)] },
+    N2: { '2024-06-10':[seg(630, 660, { skip:true })], '2024-06-16':[seg(1410, 1500)] },
+  };
+  const range = { start:'2024-06-10', end:'2024-06-17' };
+  const { cells, days } = demandHeatmap(segIndex, fleet, range);
+  expect(days).toEqual([2,1,1,1,1,1,1]);
+  // Monday 10:00: N1 twice (60 + 60), N2 once (30)
+  expect(cells[0][10]).toMatchObject({ minutes:150, mean:1.25, peak:2, full:1 });
+  expect(cells[0][11]).toMatchObject({ minutes:30, peak:1, full:0 });
+  // Sunday 23:30 block spills into Monday 00:00
+  expect(cells[6][23]).toMatchObject({ minutes:30, peak:1 });
+  expect(cells[0][0]).toMatchObject({ minutes:60, peak:1 });
+
+  const kept = demandHeatmap(segIndex, fleet, range, s => !s.skip);
+  expect(kept.cells[0][10]).toMatchObject({ minutes:120, peak:1, full:0 });
+});
+
+test('an aircraft off the line does not count towards full', () => {
+  const segIndex = { N1: { '2024-06-10':[seg(600, 660)] } };
+  const part = [fleet[0], { tail:'N2', activeFrom:'2024-07-01', activeTo:null }];
+  const { cells } = demandHeatmap(segIndex, part, { start:'2024-06-10', end:'2024-06-10' });
+  expect(cells[0][10]).toMatchObject({ peak:1, full:1 });
+});
+
+test('blocks from the day before the range spill into its first day', () => {
+  const segIndex = { N1: { '2024-06-09':[seg(1410, 1530)] } };
+  const { cells } = demandHeatmap(segIndex, fleet, { start:'2024-06-10', end:'2024-06-10' });
+  expect(cells[6][23]).toMatchObject({ minutes:0, peak:0 });
+  expect(cells[0][0]).toMatchObject({ minutes:60, peak:1 });
+  expect(cells[0][1]).toMatchObject({ minutes:30, peak:1 });
+});
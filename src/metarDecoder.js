@@ -0,0 +1,154 @@
+// METAR/SPECI decoder for the raw_data strings in the METAR JSON, e.g.
+//   KALB 010051Z 28012G19KT 10SM FEW060 FEW250 21/11 A2993 RMK AO2 PK WND 27028/0003 SLP132 T02060111 $
+//
+// decodeMetar(raw) → {
+//   station, type ('METAR'|'SPECI'), time: { day, hour, minute } (UTC), auto,
+//   wind: { dir, speed, gust, variable, varFrom, varTo } | null   (dir null for VRB; knots)
+//   visibility (SM, number | null), visibilityBelow (true for "M1/4SM"),
+//   weather: [{ raw, intensity, vicinity, descriptor, phenomena: [] }],
+//   clouds:  [{ cover, base, type }]   (cover FEW/SCT/BKN/OVC/VV/CLR; base ft AGL)
+//   ceiling (ft | null: lowest BKN/OVC/VV), temp, dewpoint (°C, tenths from the
+//   T-group when present), altimeter (inHg), slp (hPa),
+//   peakWind: { dir, speed, hour, minute } | null, remarks (string)
+// }
+
+const DESCRIPTORS = 'MI|PR|BC|DR|BL|SH|TS|FZ';
+const PHENOMENA   = 'DZ|RA|SN|SG|IC|PL|GR|GS|UP|BR|FG|FU|VA|DU|SA|HZ|PY|PO|SQ|FC|SS|DS';
+
+const WX_RE    = new RegExp(`^(-|\\+|VC)?(${DESCRIPTORS})?((?:${PHENOMENA})*)$`);
+const WIND_RE  = /^(\d{3}|VRB)(\d{2,3})(?:G(\d{2,3}))?(KT|MPS)$/;
+const VAR_RE   = /^(\d{3})V(\d{3})$/;
+const CLOUD_RE = /^(FEW|SCT|BKN|OVC)(\d{3})(CB|TCU)?$/;
+const VV_RE    = /^VV(\d{3}|\/\/\/)$/;
+const TEMP_RE  = /^(M?\d{2})\/(M?\d{2})?$/;
+
+const signed = s => (s[0] === 'M' ? -Number(s.slice(1)) : Number(s));
+
+// "1/2" → 0.5, "10" → 10
+function fraction(s) {
+  const m = s.match(/^(\d+)\/(\d+)$/);
+  return m ? +m[1] / +m[2] : Number(s);
+}
+
+function decodeRemarks(rmk, out) {
+  const pk = rmk.match(/PK WND (\d{3})(\d{2,3})\/(\d{2})?(\d{2})/);
+  if (pk) out.peakWind = { dir:+pk[1], speed:+pk[2], hour:pk[3] != null ? +pk[3] : null, minute:+pk[4] };
+  const slp = rmk.match(/\bSLP(\d{3})\b/);
+  if (slp) {
+    const n = +slp[1];
+    out.slp = (n < 500 ? 1000 : 900) + n / 10;
+  }
+  const t = rmk.match(/\bT([01])(\d{3})(?:([01])(\d{3}))?\b/);
+  if (t) {
+    out.temp = (t[1] === '1' ? -1 : 1) * +t[2] / 10;
+    if (t[3]) out.dewpoint = (t[3] === '1' ? -1 : 1) * +t[4] / 10;
+  }
+}
+
+export function decodeMetar(raw) {
+  const out = {
+    station:null, type:'METAR', time:null, auto:false,
+    wind:null, visibility:null, visibilityBelow:false,
+    weather:[], clouds:[], ceiling:null,
+    temp:null, dewpoint:null, altimeter:null, slp:null,
+    peakWind:null, remarks:'',
+  };
+  if (typeof raw !== 'string' || !raw.trim()) return out;
+
+  const [body, ...rest] = raw.trim().split(/\sRMK\s/);
+  out.remarks = rest.join(' RMK ').replace(/\s*\$\s*$/, '').trim();
+  const toks = body.replace(/\s*\$\s*$/, '').split(/\s+/);
+  let i = 0;
+
+  if (toks[i] === 'METAR' || toks[i] === 'SPECI') out.type = toks[i++];
+  if (/^[A-Z][A-Z0-9]{3}$/.test(toks[i])) out.station = toks[i++];
+  const tm = toks[i]?.match(/^(\d{2})(\d{2})(\d{2})Z$/);
+  if (tm) { out.time = { day:+tm[1], hour:+tm[2], minute:+tm[3] }; i++; }
+
+  for (; i < toks.length; i++) {
+    const t = toks[i];
+    let m;
+    if (t === 'AUTO') out.auto = true;
+    else if (t === 'COR') continue;
+    else if ((m = t.match(WIND_RE))) {
+      const k = m[4] === 'MPS' ? 1.94384 : 1;
+      out.wind = {
+        dir: m[1] === 'VRB' ? null : +m[1],
+        speed: Math.round(+m[2] * k),
+        gust: m[3] ? Math.round(+m[3] * k) : null,
+        variable: m[1] === 'VRB', varFrom:null, varTo:null,
+      };
+    }
+    else if ((m = t.match(VAR_RE)) && out.wind) {
+      out.wind.variable = true;
+      out.wind.varFrom = +m[1];
+      out.wind.varTo = +m[2];
+    }
+    else if ((m = t.match(/^([MP])?(\d+(?:\/\d+)?)SM$/))) {
+      // "2 1/2SM" arrives as two tokens
+      const whole = /^\d+$/.test(toks[i-1] || '') && out.visibility == null && m[2].includes('/') ? +toks[i-1] : 0;
+      out.visibility = whole + fraction(m[2]);
+      out.visibilityBelow = m[1] === 'M';
+    }
+    else if (/^\d+$/.test(t) && /^\d+\/\d+SM$/.test(toks[i+1] || '')) continue;
+    else if (/^R\d{2}[LCR]?\//.test(t)) continue;                       // runway visual range
+    else if (t === 'CLR' || t === 'SKC') out.clouds.push({ cover:'CLR', base:null, type:null });
+    else if ((m = t.match(CLOUD_RE))) out.clouds.push({ cover:m[1], base:+m[2] * 100, type:m[3] || null });
+    else if ((m = t.match(VV_RE))) out.clouds.push({ cover:'VV', base:m[1] === '///' ? null : +m[1] * 100, type:null });
+    else if ((m = t.match(TEMP_RE))) {
+      out.temp = signed(m[1]);
+      out.dewpoint = m[2] ? signed(m[2]) : null;
+    }
+    else if ((m = t.match(/^A(\d{4})$/))) out.altimeter = +m[1] / 100;
+    else if ((m = t.match(/^Q(\d{4})$/))) out.altimeter = Math.round(+m[1] * 0.02953 * 100) / 100;
+    else if (t !== '' && (m = t.match(WX_RE)) && (m[2] || m[3])) {
+      out.weather.push({
+        raw: t,
+        intensity: m[1] === '-' || m[1] === '+' ? m[1] : '',
+        vicinity: m[1] === 'VC',
+        descriptor: m[2] || null,
+        phenomena: m[3] ? m[3].match(/.{2}/g) : [],
+      });
+    }
+  }
+
+  decodeRemarks(out.remarks, out);
+  const ceil = out.clouds.filter(c => ['BKN','OVC','VV'].includes(c.cover) && c.base != null);
+  out.ceiling = ceil.length ? Math.min(...ceil.map(c => c.base)) : null;
+  return out;
+}
+
+// Does the observation report this weather? code is a phenomenon ('RA',
+// 'SN', 'BR', 'FG') or descriptor+phenomenon ('FZRA'); 'TS' matches
+// thunderstorms with or without precipitation. Vicinity reports don't count.
+export function hasWeather(decoded, code) {
+  return (decoded?.weather || []).some(w => {
+    if (w.vicinity) return false;
+    if (code === 'TS') return w.descriptor === 'TS';
+    if (code.length === 4) return w.descriptor === code.slice(0,2) && w.phenomena.includes(code.slice(2));
+    return w.phenomena.includes(code);
+  });
+}
+
+// "Wind 280° 12G19 kt", "Wind VRB 4 kt (250V310)", "Wind calm"
+export function windText(w) {
+  if (!w) return '';
+  if (w.speed === 0) return 'Wind calm';
+  const dir = w.dir == null ? 'VRB' : `${String(w.dir).padStart(3,'0')}°`;
+  return `Wind ${dir} ${w.speed}${w.gust ? `G${w.gust}` : ''} kt` +
+    (w.varFrom != null ? ` (${w.varFrom}V${w.varTo})` : '');
+}
+
+// One-line summary for tooltips: "Wind 280° 12G19 kt · 10 SM · +TSRA BR · BKN045CB · A29.82"
+export function summarizeMetar(d) {
+  if (!d) return '';
+  const parts = [];
+  if (d.wind) parts.push(windText(d.wind));
+  if (d.visibility != null) parts.push(`${d.visibilityBelow ? '<' : ''}${d.visibility} SM`);
+  if (d.weather.length) parts.push(d.weather.map(x => x.raw).join(' '));
+  if (d.clouds.length) parts.push(d.clouds.map(c => c.cover === 'CLR' ? 'CLR' :
+    `${c.cover}${c.base == null ? '///' : String(c.base / 100).padStart(3,'0')}${c.type || ''}`).join(' '));
+  if (d.altimeter != null) parts.push(`A${d.altimeter.toFixed(2)}`);
+  if (d.peakWind) parts.push(`Peak ${d.peakWind.dir}°/${d.peakWind.speed} kt`);
+  return parts.join(' · ');
+}
@@ -0,0 +1,74 @@
+import fs from 'fs';
+import path from 'path';
+import { decodeMetar, hasWeather } from './metarDecoder';
+
+// Corpus: the bundled KALB observations
+const corpus = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'public', 'data', 'alb_metar.json'), 'utf8')
+).filter(r => r.raw_data);
+
+test('decodes a routine observation with gusts, peak wind and SLP', () => {
+  const d = decodeMetar('KALB 010051Z 28012G19KT 10SM FEW060 FEW250 21/11 A2993 RMK AO2 PK WND 27028/0003 SLP132 T02060111 $');
+  expect(d).toMatchObject({
+    station:'KALB', type:'METAR', time:{ day:1, hour:0, minute:51 },
+    wind:{ dir:280, speed:12, gust:19, variable:false },
+    visibility:10, ceiling:null, altimeter:29.93, slp:1013.2,
+    temp:20.6, dewpoint:11.1,
+    peakWind:{ dir:270, speed:28, hour:0, minute:3 },
+    remarks:'AO2 PK WND 27028/0003 SLP132 T02060111',
+  });
+  expect(d.clouds).toEqual([
+    { cover:'FEW', base:6000, type:null },
+    { cover:'FEW', base:25000, type:null },
+  ]);
+});
+
+test('decodes thunderstorms, CB layers and mixed-number visibility', () => {
+  const d = decodeMetar('KALB 061027Z 18009G19KT 2SM +TSRA BR SCT007 BKN045CB OVC065 24/23 A2982 RMK AO2 LTG DSNT SE-SW P0006 T02390228');
+  expect(d.visibility).toBe(2);
+  expect(d.weather.map(w => w.raw)).toEqual(['+TSRA','BR']);
+  expect(d.weather[0]).toMatchObject({ intensity:'+', descriptor:'TS', phenomena:['RA'] });
+  expect(d.ceiling).toBe(4500);
+  expect(d.clouds[1]).toEqual({ cover:'BKN', base:4500, type:'CB' });
+  expect(hasWeather(d, 'TS')).toBe(true);
+  expect(hasWeather(d, 'RA')).toBe(true);
+  expect(hasWeather(d, 'BR')).toBe(true);
+  expect(hasWeather(d, 'SN')).toBe(false);
+
+  const rvr = decodeMetar('KALB 011049Z 31007KT 2 1/2SM R01/6000VP6000FT RA BR BKN023 17/14 A3004 RMK AO2 RAE19B39 P0004 IEM_GHCNH');
+  expect(rvr.visibility).toBe(2.5);
+  expect(rvr.weather.map(w => w.raw)).toEqual(['RA','BR']);
+});
+
+test('decodes variable winds, freezing rain, VV and negative temps', () => {
+  const d = decodeMetar('SPECI KALB 150312Z AUTO VRB04KT 250V310 M1/4SM FZRA FG VV002 M02/M03 A3001 RMK AO2');
+  expect(d).toMatchObject({
+    type:'SPECI', auto:true,
+    wind:{ dir:null, speed:4, variable:true, varFrom:250, varTo:310 },
+    visibility:0.25, visibilityBelow:true, ceiling:200, temp:-2, dewpoint:-3,
+  });
+  expect(hasWeather(d, 'FZRA')).toBe(true);
+  expect(hasWeather(d, 'RA')).toBe(true);
+  expect(hasWeather(d, 'FG')).toBe(true);
+  expect(decodeMetar('').wind).toBeNull();
+});
+
+test('agrees with the pre-extracted fields across the corpus', () => {
+  let windOk = 0, tempOff = 0;
+  const visOff = [], ceilOff = [];
+  corpus.forEach(r => {
+    const d = decodeMetar(r.raw_data);
+    if (d.wind) windOk++;
+    // T-group tenths vs the whole-degree body; the odd report disagrees outright
+    if (r.temp_C != null && d.temp != null && Math.abs(d.temp - r.temp_C) > 1) tempOff++;
+    if (r.visibility_sm != null && d.visibility != null &&
+        Math.abs(d.visibility - r.visibility_sm) > 0.01) visOff.push(r.raw_data);
+    // The pre-extracted ceiling skips BKN045CB-style layers; the decoder doesn't
+    if (r.ceiling_ft != null && !/\d{3}(CB|TCU)\b/.test(r.raw_data) &&
+        d.ceiling !== r.ceiling_ft) ceilOff.push(r.raw_data);
+  });
+  expect(visOff).toEqual([]);
+  expect(ceilOff).toEqual([]);
+  expect(windOk / corpus.length).toBeGreaterThan(0.99);
+  expect(tempOff / corpus.length).toBeLessThan(0.001);
+});
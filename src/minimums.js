@@ -0,0 +1,41 @@
+// Ceiling/visibility grading against personal minimums. Records are METAR
+// rows with `ceiling_ft` (null = no ceiling) and `visibility_sm`.
+
+export const DEFAULT_MINIMUMS = { ceiling:3000, visibility:5 };
+
+// Fifth category alongside LIFR/IFR/MVFR/VFR: below the personal minimums
+export const BELOW_MINS = 'MINS';
+
+// Grades relative to a minimum: well below, below, just below, above, well above
+const GRADES = ['#B2182B','#EF8A62','#FDDBC7','#D1E5F0','#4393C3'];
+
+function grade(value, min) {
+  if (value >= 2 * min)   return GRADES[4];
+  if (value >= min)       return GRADES[3];
+  if (value >= min * 2/3) return GRADES[2];
+  if (value >= min / 3)   return GRADES[1];
+  return GRADES[0];
+}
+
+export function ceilingColor(rec, min) {
+  if (!rec || rec.flight_category == null) return 'transparent';
+  return rec.ceiling_ft == null ? GRADES[4] : grade(rec.ceiling_ft, min);
+}
+
+export function visibilityColor(rec, min) {
+  if (rec?.visibility_sm == null) return 'transparent';
+  return grade(rec.visibility_sm, min);
+}
+
+// true/false against { ceiling, visibility }; null when visibility is missing
+export function belowMinimums(rec, mins) {
+  if (rec?.visibility_sm == null) return null;
+  return rec.visibility_sm < mins.visibility ||
+    (rec.ceiling_ft != null && rec.ceiling_ft < mins.ceiling);
+}
+
+// "Ceiling 2500 ft (min 3000)" style tooltip lines
+export const ceilingText = (rec, min) =>
+  `Ceiling ${rec.ceiling_ft == null ? 'none' : `${rec.ceiling_ft} ft`} (min ${min} ft)`;
+export const visibilityText = (rec, min) =>
+  `Visibility ${rec.visibility_sm ?? '?'} SM (min ${min} SM)`;
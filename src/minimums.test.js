@@ -0,0 +1,20 @@
+import { belowMinimums, ceilingColor, visibilityColor, DEFAULT_MINIMUMS } from './minimums';
+
+const rec = (ceiling_ft, visibility_sm) => ({ ceiling_ft, visibility_sm, flight_category:'VFR' });
+
+test('below minimums on ceiling or visibility', () => {
+  expect(belowMinimums(rec(null, 10), DEFAULT_MINIMUMS)).toBe(false);
+  expect(belowMinimums(rec(3000, 5), DEFAULT_MINIMUMS)).toBe(false);
+  expect(belowMinimums(rec(2900, 10), DEFAULT_MINIMUMS)).toBe(true);
+  expect(belowMinimums(rec(null, 4), DEFAULT_MINIMUMS)).toBe(true);
+  expect(belowMinimums(rec(null, null), DEFAULT_MINIMUMS)).toBeNull();
+  expect(belowMinimums(rec(2000, 3), { ceiling:1500, visibility:3 })).toBe(false);
+});
+
+test('grades scale with the minimum', () => {
+  expect(ceilingColor(rec(null, 10), 3000)).toBe(ceilingColor(rec(9000, 10), 3000));
+  expect(ceilingColor(rec(2900, 10), 3000)).not.toBe(ceilingColor(rec(3000, 10), 3000));
+  expect(ceilingColor(rec(2900, 10), 2000)).toBe(ceilingColor(rec(3000, 10), 2000));
+  expect(visibilityColor(rec(null, null), 5)).toBe('transparent');
+  expect(visibilityColor(rec(null, 1), 5)).not.toBe(visibilityColor(rec(null, 3), 5));
+});
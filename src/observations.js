@@ -0,0 +1,86 @@
+import { dayKey } from './calendar';
+
+// Routine vs special observations and holes in the METAR record. The data
+// doesn't mark specials with "SPECI", so a report is special when it says
+// so or when it isn't issued at the station's routine minute (the most
+// common one, :51 at ALB). Hours are local calendar hours.
+
+// Most common minute past the hour among the records (null if none)
+export function routineMinute(records) {
+  const n = {};
+  (records || []).forEach(r => {
+    const d = new Date(r?.local_time);
+    if (!isNaN(d)) n[d.getMinutes()] = (n[d.getMinutes()] || 0) + 1;
+  });
+  const best = Object.entries(n).sort((a, b) => b[1] - a[1])[0];
+  return best ? +best[0] : null;
+}
+
+export function isSpecial(rec, routineMin) {
+  if (rec?.decoded?.type === 'SPECI') return true;
+  return new Date(rec?.local_time).getMinutes() !== routineMin;
+}
+
+// { hours: dKey → hour → rec, specials: dKey → [rec] }. An hour shows its
+// routine report, or its last special when the routine one is missing;
+// every special is also listed for markers.
+export function hourlyLookup(records, routineMin) {
+  const hours = {}, specials = {};
+  (records || []).forEach(r => {
+    const d = new Date(r?.local_time);
+    if (isNaN(d)) return;
+    const k = dayKey(d), h = d.getHours();
+    const day = hours[k] = hours[k] || {};
+    if (isSpecial(r, routineMin)) {
+      (specials[k] = specials[k] || []).push(r);
+      if (!day[h] || isSpecial(day[h], routineMin)) day[h] = r;
+    }
+    else day[h] = r;
+  });
+  return { hours, specials };
+}
+
+// Walk every local hour from the first record's to the last's:
+// { missing: dKey → [hours without a report], coverage: [{ month, hours, covered, pct }] }
+export function coverage(records) {
+  const seen = new Set();
+  let first = Infinity, last = -Infinity;
+  (records || []).forEach(r => {
+    const d = new Date(r?.local_time);
+    if (isNaN(d)) return;
+    seen.add(`${dayKey(d)} ${d.getHours()}`);
+    first = Math.min(first, +d);
+    last  = Math.max(last, +d);
+  });
+  const missing = {}, months = {};
+  if (first > last) return { missing, coverage:[] };
+
+  const cur = new Date(first);
+  cur.setMinutes(0, 0, 0);
+  for (; +cur <= last; cur.setTime(+cur + 3600000)) {
+    const k = dayKey(cur), h = cur.getHours();
+    const m = months[k.slice(0,7)] = months[k.slice(0,7)] || { month:k.slice(0,7), hours:0, covered:0 };
+    m.hours++;
+    if (seen.has(`${k} ${h}`)) m.covered++;
+    else (missing[k] = missing[k] || []).push(h);
+  }
+  return {
+    missing,
+    coverage: Object.values(months).map(m => ({ ...m, pct: 100 * m.covered / m.hours })),
+  };
+}
+
+// Longest stretches between consecutive reports that exceed maxMin minutes,
+// longest first: [{ from: rec, to: rec, minutes }]
+export function longestOutages(records, maxMin, top = 5) {
+  const times = (records || [])
+    .map(r => ({ r, t: new Date(r?.local_time).getTime() }))
+    .filter(o => !isNaN(o.t))
+    .sort((a, b) => a.t - b.t);
+  const out = [];
+  for (let i = 1; i < times.length; i++) {
+    const minutes = (times[i].t - times[i-1].t) / 60000;
+    if (minutes > maxMin) out.push({ from:times[i-1].r, to:times[i].r, minutes });
+  }
+  return out.sort((a, b) => b.minutes - a.minutes).slice(0, top);
+}
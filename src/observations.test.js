@@ -0,0 +1,34 @@
+import { routineMinute, isSpecial, hourlyLookup, coverage, longestOutages } from './observations';
+
+const obs = (time, flight_category = 'VFR') => ({ local_time:`2024-08-01T${time}:00`, flight_category });
+
+const recs = [
+  obs('08:51'), obs('09:51'), obs('10:12', 'IFR'), obs('10:51', 'MVFR'),
+  obs('11:30', 'IFR'),               // the 11:51 routine report is missing
+  obs('14:51'),                      // 12 and 13 have nothing
+  { local_time:'NaT' },
+];
+
+test('specials are the reports off the routine minute', () => {
+  expect(routineMinute(recs)).toBe(51);
+  expect(isSpecial(recs[2], 51)).toBe(true);
+  expect(isSpecial(recs[3], 51)).toBe(false);
+  expect(isSpecial({ local_time:'2024-08-01T10:51:00', decoded:{ type:'SPECI' } }, 51)).toBe(true);
+});
+
+test('hours keep the routine report; specials are listed separately', () => {
+  const { hours, specials } = hourlyLookup(recs, 51);
+  expect(hours['2024-08-01'][10].flight_category).toBe('MVFR');
+  expect(hours['2024-08-01'][11].flight_category).toBe('IFR');
+  expect(specials['2024-08-01'].map(r => r.local_time.slice(11,16))).toEqual(['10:12','11:30']);
+});
+
+test('coverage and outages', () => {
+  const { missing, coverage:months } = coverage(recs);
+  expect(missing).toEqual({ '2024-08-01':[12,13] });
+  expect(months).toEqual([{ month:'2024-08', hours:7, covered:5, pct:500/7 }]);
+  const out = longestOutages(recs, 90);
+  expect(out).toHaveLength(1);
+  expect(out[0]).toMatchObject({ minutes:201 });
+  expect(out[0].from.local_time).toContain('11:30');
+});
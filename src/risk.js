@@ -0,0 +1,71 @@
+import { hasWeather } from './metarDecoder';
+import { formatTemp } from './temperature';
+
+// Weather risks derived from a METAR record ({ temp_C, dewpoint_C, decoded }).
+// Each returns 'high', 'moderate' or null. These are rules of thumb for
+// explaining down-days, not forecasts.
+
+// Spread (°C) at or under which fog / low visibility is likely
+export const FOG_SPREAD_HIGH     = 1;
+export const FOG_SPREAD_MODERATE = 3;
+
+// Temperatures (°C) where visible moisture can ice an airframe
+export const ICING_MAX = 2;
+export const ICING_MIN = -10;
+
+const PRECIP = ['DZ','RA','SN','SG','PL','GS','GR','IC','UP'];
+
+// Temperature and dewpoint, preferring the decoder's T-group tenths
+function tempDew(rec) {
+  const d = rec?.decoded;
+  return {
+    temp: d?.temp ?? rec?.temp_C ?? null,
+    dew:  d?.dewpoint ?? rec?.dewpoint_C ?? null,
+  };
+}
+
+export function fogRisk(rec) {
+  if (hasWeather(rec?.decoded, 'FG')) return 'high';
+  const { temp, dew } = tempDew(rec);
+  if (temp == null || dew == null) return null;
+  const spread = temp - dew;
+  if (spread <= FOG_SPREAD_HIGH)     return 'high';
+  if (spread <= FOG_SPREAD_MODERATE) return 'moderate';
+  return null;
+}
+
+// Visible moisture: precipitation, fog/mist, or a broken-or-worse layer
+function visibleMoisture(decoded) {
+  if (!decoded) return false;
+  if (PRECIP.some(p => hasWeather(decoded, p))) return true;
+  if (hasWeather(decoded, 'FG') || hasWeather(decoded, 'BR')) return true;
+  return decoded.clouds.some(c => ['BKN','OVC','VV'].includes(c.cover));
+}
+
+export function icingRisk(rec) {
+  const d = rec?.decoded;
+  if ((d?.weather || []).some(w => !w.vicinity && w.descriptor === 'FZ')) return 'high';
+  const { temp } = tempDew(rec);
+  if (temp == null || temp > ICING_MAX || temp < ICING_MIN) return null;
+  return visibleMoisture(d) ? 'moderate' : null;
+}
+
+// Strip colors; icing outranks fog
+const RISK_COLORS = {
+  icing: { high:'#6A1B9A', moderate:'#BA68C8' },
+  fog:   { high:'#616161', moderate:'#BDBDBD' },
+};
+
+export function riskColor(rec) {
+  if (rec?.icing) return RISK_COLORS.icing[rec.icing];
+  if (rec?.fog)   return RISK_COLORS.fog[rec.fog];
+  return 'transparent';
+}
+
+// Tooltip text; unit 'C' or 'F' for the spread
+export function riskText(rec, unit = 'C') {
+  const { temp, dew } = tempDew(rec);
+  const spread = temp != null && dew != null
+    ? ` (spread ${formatTemp(temp - dew, unit, { delta:true, digits:1 })})` : '';
+  return `Fog risk: ${rec?.fog || 'low'}${spread}\nIcing risk: ${rec?.icing || 'low'}`;
+}
@@ -0,0 +1,24 @@
+import { decodeMetar } from './metarDecoder';
+import { fogRisk, icingRisk } from './risk';
+
+const rec = raw => ({ decoded:decodeMetar(raw) });
+
+test('fog risk follows the temperature–dewpoint spread', () => {
+  expect(fogRisk(rec('KALB 010051Z 00000KT 10SM CLR 12/11 A3001'))).toBe('high');
+  expect(fogRisk(rec('KALB 010051Z 00000KT 10SM CLR 12/09 A3001'))).toBe('moderate');
+  expect(fogRisk(rec('KALB 010051Z 00000KT 10SM CLR 21/11 A3001'))).toBeNull();
+  expect(fogRisk(rec('KALB 010051Z 00000KT 1/4SM FG VV002 12/08 A3001'))).toBe('high');
+  // T-group tenths win over the whole degrees
+  expect(fogRisk(rec('KALB 010051Z 00000KT 10SM CLR 12/09 A3001 RMK T01220094'))).toBe('moderate');
+  expect(fogRisk({ temp_C:5, dewpoint_C:4.5 })).toBe('high');
+  expect(fogRisk({})).toBeNull();
+});
+
+test('icing risk needs visible moisture between +2 and -10 °C', () => {
+  expect(icingRisk(rec('KALB 010051Z 27010KT 10SM OVC030 M03/M06 A3001'))).toBe('moderate');
+  expect(icingRisk(rec('KALB 010051Z 27010KT 10SM FEW030 M03/M06 A3001'))).toBeNull();
+  expect(icingRisk(rec('KALB 010051Z 27010KT 3SM -SN BKN020 M12/M14 A3001'))).toBeNull();
+  expect(icingRisk(rec('KALB 010051Z 27010KT 3SM -SN SCT020 01/M01 A3001'))).toBe('moderate');
+  expect(icingRisk(rec('KALB 010051Z 27010KT 2SM FZRA OVC008 M01/M02 A3001'))).toBe('high');
+  expect(icingRisk(rec('KALB 010051Z 27010KT 10SM OVC030 05/M01 A3001'))).toBeNull();
+});
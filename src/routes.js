@@ -0,0 +1,34 @@
+// Origin/destination handling. Airports arrive as "GLENS FALLS (GFL)",
+// "Albany (ALB)", bare "ALB", or "—" when unknown.
+
+import { isBlank } from './flightRecords';
+
+// Airport label → 3/4-letter code, null when unknown
+export function airportCode(s) {
+  if (isBlank(s)) return null;
+  const str = String(s).trim();
+  const m = str.match(/\(([A-Z0-9]{3,4})\)\s*$/i) || str.match(/^([A-Z0-9]{3,4})$/i);
+  return m ? m[1].toUpperCase() : null;
+}
+
+// Airport label → ICAO station for METAR lookups: 4-letter codes as they
+// are, US 3-letter codes with a K ("ALB" → "KALB"); null when unknown
+export function icaoCode(s) {
+  const c = airportCode(s);
+  if (!c) return null;
+  return c.length === 3 && /^[A-Z]{3}$/.test(c) ? `K${c}` : c;
+}
+
+// 'local' (back where it started), 'xc' (different airports) or 'unknown'
+export function routeKind(from, to) {
+  const f = airportCode(from), t = airportCode(to);
+  if (!f || !t) return 'unknown';
+  return f === t ? 'local' : 'xc';
+}
+
+// "GFL→ALB", "ALB→?" …; '' when neither end is known
+export function routeLabel(from, to) {
+  const f = airportCode(from), t = airportCode(to);
+  if (!f && !t) return '';
+  return `${f || '?'}→${t || '?'}`;
+}
@@ -0,0 +1,47 @@
+import { DEFAULT_RUNWAYS } from './wind';
+import { DEFAULT_MINIMUMS } from './minimums';
+import { DEFAULT_SITE } from './sun';
+import { DEFAULT_FIELD_ELEVATION, DEFAULT_DA_THRESHOLD } from './densityAltitude';
+import { DEFAULT_TEMP_STOPS } from './temperature';
+import { DEFAULT_AVAILABLE } from './utilization';
+
+// User settings, persisted to localStorage
+
+const STORAGE_KEY = 'aircraft-activity-settings';
+
+export const DEFAULT_SETTINGS = {
+  metarRenderer: 'dom',        // 'dom' | 'canvas'
+  tempUnit: 'C',               // 'C' | 'F' for tooltips and legends
+  tempScale: 'buckets',        // 'buckets' | 'gradient'
+  tempStops: DEFAULT_TEMP_STOPS,  // six ascending thresholds, °C
+  siteName: DEFAULT_SITE.name, // airport for sun times
+  siteLat: DEFAULT_SITE.lat,   // degrees, north positive
+  siteLon: DEFAULT_SITE.lon,   // degrees, east positive
+  // per METAR station: runway designators ('01/19 10/28') for crosswind and
+  // field elevation (ft MSL) for density altitude; stations without an
+  // entry get neither
+  airfields: { KALB:{ runways:DEFAULT_RUNWAYS, elevation:DEFAULT_FIELD_ELEVATION } },
+  daThreshold: DEFAULT_DA_THRESHOLD,        // ft; density altitude highlighted at or above
+  minCeiling: DEFAULT_MINIMUMS.ceiling,        // personal minimums: ft AGL
+  minVisibility: DEFAULT_MINIMUMS.visibility,  // and statute miles
+  availableFrom: DEFAULT_AVAILABLE.from,  // "HH:MM" operating window, for utilization
+  availableTo: DEFAULT_AVAILABLE.to,      // and flyable-but-unused time
+};
+
+// Saved settings over the defaults (new keys pick up their default)
+export function loadSettings() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+    return { ...DEFAULT_SETTINGS, ...saved };
+  } catch (e) {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+export function saveSettings(settings) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    // private mode / quota: settings just won't persist
+  }
+}
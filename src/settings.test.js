@@ -0,0 +1,6 @@
+import { loadSettings, DEFAULT_SETTINGS } from './settings';
+
+test('defaults configure KALB only', () => {
+  expect(loadSettings().airfields).toEqual(DEFAULT_SETTINGS.airfields);
+  expect(Object.keys(DEFAULT_SETTINGS.airfields)).toEqual(['KALB']);
+});
@@ -0,0 +1,86 @@
+import { keyToDate } from './flightModel';
+
+// Sunrise/sunset and civil twilight, computed locally with the sunrise
+// equation from the Nautical Almanac Office's "Almanac for Computers"
+// (good to a minute or two at our latitudes). Night is the regulatory one:
+// from the end of evening civil twilight to the start of morning twilight.
+
+export const DEFAULT_SITE = { name:'KALB', lat:42.7483, lon:-73.8017 };
+
+const SUNRISE_ZENITH = 90.833;   // refraction + solar radius
+const CIVIL_ZENITH   = 96;
+
+const rad = d => d * Math.PI / 180;
+const deg = r => r * 180 / Math.PI;
+const mod = (a, n) => ((a % n) + n) % n;
+
+// UTC Date of a rising/setting event on dKey, or 'up'/'down' when the sun
+// stays above/below that zenith all day
+function sunEvent(dKey, lat, lon, zenith, rising) {
+  const [y, m, d] = dKey.split('-').map(Number);
+  const dayOfYear = (Date.UTC(y, m - 1, d) - Date.UTC(y, 0, 0)) / 86400000;
+  const lngHour = lon / 15;
+  const t = dayOfYear + ((rising ? 6 : 18) - lngHour) / 24;
+
+  const M = 0.9856 * t - 3.289;
+  const L = mod(M + 1.916 * Math.sin(rad(M)) + 0.020 * Math.sin(rad(2 * M)) + 282.634, 360);
+  let RA = mod(deg(Math.atan(0.91764 * Math.tan(rad(L)))), 360);
+  RA = (RA + Math.floor(L / 90) * 90 - Math.floor(RA / 90) * 90) / 15;
+
+  const sinDec = 0.39782 * Math.sin(rad(L));
+  const cosDec = Math.cos(Math.asin(sinDec));
+  const cosH = (Math.cos(rad(zenith)) - sinDec * Math.sin(rad(lat))) / (cosDec * Math.cos(rad(lat)));
+  if (cosH > 1)  return 'down';
+  if (cosH < -1) return 'up';
+
+  const H = (rising ? 360 - deg(Math.acos(cosH)) : deg(Math.acos(cosH))) / 15;
+  const UT = mod(H + RA - 0.06571 * t - 6.622 - lngHour, 24);
+
+  // UT is only known mod 24 h: keep it within 12 h of the day's solar noon
+  const noon = Date.UTC(y, m - 1, d, 12) - lngHour * 3600000;
+  let ms = Date.UTC(y, m - 1, d) + UT * 3600000;
+  while (ms - noon > 43200000) ms -= 86400000;
+  while (noon - ms > 43200000) ms += 86400000;
+  return new Date(ms);
+}
+
+const EVENTS = {
+  dawn:    [CIVIL_ZENITH,   true],
+  sunrise: [SUNRISE_ZENITH, true],
+  sunset:  [SUNRISE_ZENITH, false],
+  dusk:    [CIVIL_ZENITH,   false],
+};
+
+// { dawn, sunrise, sunset, dusk } as Dates (null when the event doesn't happen)
+export function sunTimes(dKey, lat, lon) {
+  const out = {};
+  Object.entries(EVENTS).forEach(([k, [zenith, rising]]) => {
+    const e = sunEvent(dKey, lat, lon, zenith, rising);
+    out[k] = e instanceof Date ? e : null;
+  });
+  return out;
+}
+
+// The same as minutes after local midnight of dKey, the form segments use.
+// A sun that never crosses gives 0/1440 (always up) or 720/720 (never up).
+export function sunMinutes(dKey, lat, lon) {
+  const base = keyToDate(dKey).getTime();
+  const out = {};
+  Object.entries(EVENTS).forEach(([k, [zenith, rising]]) => {
+    const e = sunEvent(dKey, lat, lon, zenith, rising);
+    out[k] = e instanceof Date ? Math.round((e - base) / 60000)
+           : e === 'up' ? (rising ? 0 : 1440) : 720;
+  });
+  return out;
+}
+
+// Split a segment's [sMin, eMin) into day and night minutes using its day's
+// sun minutes; the part past midnight reuses them shifted by a day.
+export function dayNightMinutes(seg, sun) {
+  let night = 0;
+  const overlap = (a, b) => Math.max(0, Math.min(seg.eMin, b) - Math.max(seg.sMin, a));
+  [0, 1440].forEach(off => {
+    night += overlap(off, off + sun.dawn) + overlap(off + sun.dusk, off + 1440);
+  });
+  return { day: seg.eMin - seg.sMin - night, night };
+}
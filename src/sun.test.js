@@ -0,0 +1,27 @@
+import { sunTimes, dayNightMinutes, DEFAULT_SITE } from './sun';
+
+const { lat, lon } = DEFAULT_SITE;
+const near = (date, iso) => expect(Math.abs(date - new Date(iso))).toBeLessThan(3 * 60000);
+
+test('Albany sun times at the solstices', () => {
+  const jun = sunTimes('2024-06-21', lat, lon);
+  near(jun.sunrise, '2024-06-21T05:17:00-04:00');
+  near(jun.sunset,  '2024-06-21T20:37:00-04:00');
+  near(jun.dusk,    '2024-06-21T21:12:00-04:00');
+  const dec = sunTimes('2024-12-21', lat, lon);
+  near(dec.dawn,    '2024-12-21T06:51:00-05:00');
+  near(dec.sunrise, '2024-12-21T07:23:00-05:00');
+  near(dec.sunset,  '2024-12-21T16:24:00-05:00');
+});
+
+test('polar days have no events', () => {
+  expect(sunTimes('2024-06-21', 78, 15)).toEqual({ dawn:null, sunrise:null, sunset:null, dusk:null });
+});
+
+test('day and night minutes of a block', () => {
+  const sun = { dawn:330, sunrise:360, sunset:1200, dusk:1230 };
+  expect(dayNightMinutes({ sMin:300, eMin:420 }, sun)).toEqual({ day:90, night:30 });
+  expect(dayNightMinutes({ sMin:1200, eMin:1260 }, sun)).toEqual({ day:30, night:30 });
+  expect(dayNightMinutes({ sMin:1380, eMin:1470 }, sun)).toEqual({ day:0, night:90 });
+  expect(dayNightMinutes({ sMin:600, eMin:660 }, sun)).toEqual({ day:60, night:0 });
+});
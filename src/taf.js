@@ -0,0 +1,190 @@
+import { dayKey } from './calendar';
+import { decodeMetar } from './metarDecoder';
+import { CATEGORY_RANK } from './weatherInEffect';
+
+// Terminal aerodrome forecasts. TAF files are JSON arrays like the METAR
+// ones: [{ issue_time: ISO string, raw_data: "TAF KALB 011730Z 0118/0218 ..." }].
+// Day/hour groups are resolved against issue_time (UTC), rolling into the
+// next month when the day number goes backwards.
+//
+// parseTaf(raw, issueTime) → {
+//   station, issued (Date), from, to (Dates),
+//   groups: [{ type ('BASE'|'FM'|'BECMG'|'TEMPO'|'PROB'), prob, from, to,
+//              ceiling, visibility, category }]
+// }
+
+const HOUR = 3600000;
+
+// FAA flight category from ceiling (ft, null = none) and visibility (SM)
+export function flightCategory(ceiling, visibility) {
+  const c = ceiling ?? Infinity, v = visibility ?? Infinity;
+  if (c < 500  || v < 1) return 'LIFR';
+  if (c < 1000 || v < 3) return 'IFR';
+  if (c <= 3000 || v <= 5) return 'MVFR';
+  return 'VFR';
+}
+
+// "DDHH" / "DDHHMM" on or after the reference date (UTC)
+function resolve(ref, day, hour, minute = 0) {
+  const wrapped = day < ref.getUTCDate() - 15;      // into next month
+  return new Date(Date.UTC(ref.getUTCFullYear(), ref.getUTCMonth() + (wrapped ? 1 : 0), day, hour, minute));
+}
+
+const worse = (a, b) => (a == null ? b : b == null ? a : CATEGORY_RANK[b] > CATEGORY_RANK[a] ? b : a);
+
+// Ceiling/visibility a group's tokens state (undefined when not given).
+// CAVOK is 10 km or more with no cloud below 5000 ft: VFR, no ceiling.
+function conditions(tokens) {
+  if (tokens.includes('CAVOK')) return { visibility:10, ceiling:null };
+  const d = decodeMetar(`XXXX ${tokens.join(' ')}`);
+  const out = {};
+  if (d.visibility != null) out.visibility = tokens.some(t => /^P\d/.test(t)) ? Math.max(d.visibility, 6.5) : d.visibility;
+  if (d.clouds.length || tokens.includes('NSC') || tokens.includes('SKC'))
+    out.ceiling = d.ceiling;
+  return out;
+}
+
+export function parseTaf(raw, issueTime) {
+  const toks = String(raw || '').replace(/=\s*$/, '').trim().split(/\s+/);
+  const out = { station:null, issued:null, from:null, to:null, groups:[] };
+  let i = 0;
+  if (toks[i] === 'TAF') i++;
+  while (toks[i] === 'AMD' || toks[i] === 'COR') i++;
+  if (/^[A-Z][A-Z0-9]{3}$/.test(toks[i] || '')) out.station = toks[i++];
+
+  const ref = new Date(issueTime);
+  const iss = (toks[i] || '').match(/^(\d{2})(\d{2})(\d{2})Z$/);
+  if (iss) { out.issued = resolve(isNaN(ref) ? new Date() : ref, +iss[1], +iss[2], +iss[3]); i++; }
+  else if (!isNaN(ref)) out.issued = ref;
+  if (!out.issued) return out;
+
+  const span = s => {
+    const m = (s || '').match(/^(\d{2})(\d{2})\/(\d{2})(\d{2})$/);
+    return m && [resolve(out.issued, +m[1], +m[2]), resolve(out.issued, +m[3], +m[4])];
+  };
+  const valid = span(toks[i]);
+  if (!valid) return out;
+  [out.from, out.to] = valid;
+  i++;
+
+  // Split the rest into change groups
+  let cur = { type:'BASE', prob:null, from:out.from, to:out.to, tokens:[] };
+  const groups = [cur];
+  for (; i < toks.length; i++) {
+    const t = toks[i];
+    let m;
+    if ((m = t.match(/^FM(\d{2})(\d{2})(\d{2})$/))) {
+      cur = { type:'FM', prob:null, from:resolve(out.issued, +m[1], +m[2], +m[3]), to:out.to, tokens:[] };
+      groups.push(cur);
+    }
+    else if (t === 'TEMPO' || t === 'BECMG' || /^PROB\d{2}$/.test(t)) {
+      const prob = t.startsWith('PROB') ? +t.slice(4) : null;
+      if (prob && toks[i+1] === 'TEMPO') i++;
+      const p = span(toks[i+1]);
+      if (!p) continue;
+      i++;
+      cur = { type:prob ? 'PROB' : t, prob, from:p[0], to:p[1], tokens:[] };
+      groups.push(cur);
+    }
+    else if (t === 'RMK') break;
+    else cur.tokens.push(t);
+  }
+
+  // FM groups run until the next FM group
+  const fms = groups.filter(g => g.type === 'BASE' || g.type === 'FM');
+  fms.forEach((g, k) => { if (fms[k+1]) g.to = fms[k+1].from; });
+
+  out.groups = groups.map(({ tokens, ...g }) => ({ ...g, ...conditions(tokens), category:null }));
+  // Categories: FM/BASE groups are complete; BECMG/TEMPO/PROB inherit the
+  // elements they don't restate from the prevailing group they modify
+  out.groups.forEach(g => {
+    const base = prevailingAt(out.groups, g.from.getTime(), g);
+    const ceiling = 'ceiling' in g ? g.ceiling : base?.ceiling;
+    const visibility = 'visibility' in g ? g.visibility : base?.visibility;
+    g.category = flightCategory(ceiling, visibility);
+  });
+  return out;
+}
+
+// Prevailing conditions at ms: the last BASE/FM group started by then, with
+// any BECMG finished by then applied on top. `skip` is excluded.
+function prevailingAt(groups, ms, skip) {
+  let cur = null;
+  groups.forEach(g => {
+    if (g === skip) return;
+    if ((g.type === 'BASE' || g.type === 'FM') && g.from.getTime() <= ms) cur = { ...g };
+  });
+  if (!cur) return null;
+  groups.forEach(g => {
+    if (g === skip || g.type !== 'BECMG' || g.to.getTime() > ms || g.from < cur.from) return;
+    if ('ceiling' in g)    cur.ceiling = g.ceiling;
+    if ('visibility' in g) cur.visibility = g.visibility;
+  });
+  return cur;
+}
+
+// Hourly forecast over the validity period:
+// [{ t (ms, UTC hour start), category, tempo }] where tempo is the worst
+// TEMPO/PROB category for the hour (null if none) and category the
+// prevailing one; during a BECMG change the worse of old and new prevails
+export function tafHourly(taf) {
+  if (!taf?.from || !taf.groups.length) return [];
+  const out = [];
+  for (let t = taf.from.getTime(); t < taf.to.getTime(); t += HOUR) {
+    const p = prevailingAt(taf.groups, t);
+    let category = p ? flightCategory(p.ceiling, p.visibility) : null;
+    let tempo = null;
+    taf.groups.forEach(g => {
+      const inside = g.from.getTime() <= t && t < g.to.getTime();
+      if (!inside) return;
+      if (g.type === 'BECMG') category = worse(category, g.category);
+      if (g.type === 'TEMPO' || g.type === 'PROB') tempo = worse(tempo, g.category);
+    });
+    out.push({ t, category, tempo });
+  }
+  return out;
+}
+
+// Forecast strip lookup for one station: dKey → local hour → { local_time,
+// category, tempo, raw_data, issued }. Each hour uses the latest TAF issued
+// before it. Empty without a station: TAFs for different fields don't mix.
+export function forecastLookup(tafRecords, station) {
+  if (!station) return {};
+  const tafs = (tafRecords || [])
+    .map(r => ({ r, taf: parseTaf(r.raw_data, r.issue_time) }))
+    .filter(({ taf }) => taf.issued && taf.station === station)
+    .sort((a, b) => a.taf.issued - b.taf.issued);
+  const m = {};
+  tafs.forEach(({ r, taf }) => {
+    tafHourly(taf).forEach(h => {
+      if (h.t < taf.issued.getTime()) return;
+      const d = new Date(h.t);
+      (m[dayKey(d)] = m[dayKey(d)] || {})[d.getHours()] = {
+        local_time: d.toISOString(), category:h.category, tempo:h.tempo,
+        raw_data:r.raw_data, issued:taf.issued,
+      };
+    });
+  });
+  return m;
+}
+
+// Forecast vs observed by month over hours that have both:
+// [{ month, hours, hits, within1, pct }] — hits match the category exactly,
+// within1 are at most one category off
+export function forecastAccuracy(forecast, observed) {
+  const months = {};
+  Object.entries(forecast).forEach(([k, hours]) => {
+    Object.entries(hours).forEach(([h, f]) => {
+      const o = observed[k]?.[h]?.flight_category;
+      if (!f.category || !(o in CATEGORY_RANK)) return;
+      const m = months[k.slice(0,7)] = months[k.slice(0,7)] || { month:k.slice(0,7), hours:0, hits:0, within1:0 };
+      const diff = Math.abs(CATEGORY_RANK[f.category] - CATEGORY_RANK[o]);
+      m.hours++;
+      if (diff === 0) m.hits++;
+      if (diff <= 1) m.within1++;
+    });
+  });
+  return Object.values(months)
+    .sort((a, b) => (a.month < b.month ? -1 : 1))
+    .map(m => ({ ...m, pct: 100 * m.hits / m.hours }));
+}
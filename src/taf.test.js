@@ -0,0 +1,58 @@
+import { parseTaf, tafHourly, flightCategory, forecastLookup, forecastAccuracy } from './taf';
+
+const RAW = 'TAF KALB 311730Z 3118/0118 28012KT P6SM FEW050 ' +
+            'TEMPO 3120/3122 3SM -SHRA BKN025 ' +
+            'FM010000 30008KT P6SM SCT040 BKN080 ' +
+            'BECMG 0106/0108 2SM BR OVC008 ' +
+            'FM011400 31010KT P6SM BKN035';
+
+test('flight categories from ceiling and visibility', () => {
+  expect(flightCategory(null, 10)).toBe('VFR');
+  expect(flightCategory(3000, 10)).toBe('MVFR');
+  expect(flightCategory(900, 10)).toBe('IFR');
+  expect(flightCategory(null, 0.5)).toBe('LIFR');
+});
+
+test('parses the header and change groups across a month end', () => {
+  const taf = parseTaf(RAW, '2024-07-31T17:30:00Z');
+  expect(taf.station).toBe('KALB');
+  expect(taf.issued.toISOString()).toBe('2024-07-31T17:30:00.000Z');
+  expect(taf.from.toISOString()).toBe('2024-07-31T18:00:00.000Z');
+  expect(taf.to.toISOString()).toBe('2024-08-01T18:00:00.000Z');
+  expect(taf.groups.map(g => g.type)).toEqual(['BASE','TEMPO','FM','BECMG','FM']);
+  expect(taf.groups.map(g => g.category)).toEqual(['VFR','MVFR','VFR','IFR','VFR']);
+  expect(taf.groups[0].to.toISOString()).toBe('2024-08-01T00:00:00.000Z');
+});
+
+test('hourly expansion applies TEMPO, BECMG and FM', () => {
+  const hours = tafHourly(parseTaf(RAW, '2024-07-31T17:30:00Z'));
+  const at = iso => hours.find(h => h.t === Date.parse(iso));
+  expect(hours).toHaveLength(24);
+  expect(at('2024-07-31T18:00Z')).toMatchObject({ category:'VFR', tempo:null });
+  expect(at('2024-07-31T21:00Z')).toMatchObject({ category:'VFR', tempo:'MVFR' });
+  expect(at('2024-08-01T07:00Z')).toMatchObject({ category:'IFR' });    // becoming
+  expect(at('2024-08-01T10:00Z')).toMatchObject({ category:'IFR' });    // became
+  expect(at('2024-08-01T15:00Z')).toMatchObject({ category:'VFR' });
+});
+
+test('lookup and accuracy against observations', () => {
+  const f = forecastLookup([{ issue_time:'2024-07-31T17:30:00Z', raw_data:RAW }], 'KALB');
+  const cells = Object.entries(f).flatMap(([k, hs]) => Object.entries(hs).map(([h, c]) => [k, h, c]));
+  expect(cells).toHaveLength(24);
+  const observed = {};
+  cells.forEach(([k, h, c]) => { (observed[k] = observed[k] || {})[h] = { flight_category:c.category }; });
+  const [k0, h0] = cells[0];
+  observed[k0][h0] = { flight_category:'LIFR' };
+  const acc = forecastAccuracy(f, observed);
+  expect(acc.reduce((n, m) => n + m.hours, 0)).toBe(24);
+  expect(acc.reduce((n, m) => n + m.hits, 0)).toBe(23);
+  expect(forecastLookup([{ issue_time:'2024-07-31T17:30:00Z', raw_data:RAW }], 'KGFL')).toEqual({});
+  expect(forecastLookup([{ issue_time:'2024-07-31T17:30:00Z', raw_data:RAW }], null)).toEqual({});
+});
+
+test('CAVOK is VFR with no ceiling', () => {
+  const taf = parseTaf('TAF EGLL 311700Z 3118/0124 24010KT CAVOK BECMG 0102/0104 4000 BR BKN008 ' +
+                       'FM011200 25012KT CAVOK', '2024-07-31T17:00:00Z');
+  expect(taf.groups.map(g => g.category)).toEqual(['VFR','IFR','VFR']);
+  expect(taf.groups[0]).toMatchObject({ visibility:10, ceiling:null });
+});
@@ -0,0 +1,48 @@
+// Temperature units and the temperature strip's color scale. Thresholds are
+// kept in °C whatever the display unit; the scale is either seven buckets
+// split at the six thresholds or a gradient through the same colors.
+
+export const DEFAULT_TEMP_STOPS = [-30, -10, 0, 10, 20, 30];
+export const TEMP_COLORS = ['#2c003e','#0033cc','#33ccff','#66ffcc','#ffff99','#ffcc00','#ff3300'];
+
+export const toUnit   = (c, unit) => (unit === 'F' ? c * 9 / 5 + 32 : c);
+export const fromUnit = (v, unit) => (unit === 'F' ? (v - 32) * 5 / 9 : v);
+
+// 21 → "21°C" / "70°F"; differences (spreads) scale without the offset
+export function formatTemp(c, unit, { delta = false, digits = 0 } = {}) {
+  if (c == null) return '?';
+  const v = delta ? (unit === 'F' ? c * 9 / 5 : c) : toUnit(c, unit);
+  return `${v.toFixed(digits)}°${unit}`;
+}
+
+const hex = c => [1, 3, 5].map(i => parseInt(c.slice(i, i + 2), 16));
+function mix(a, b, f) {
+  const [x, y] = [hex(a), hex(b)];
+  return '#' + x.map((v, i) => Math.round(v + (y[i] - v) * f).toString(16).padStart(2, '0')).join('');
+}
+
+// Gradient anchors: a color at each threshold, the last one a bucket beyond
+function anchors(stops) {
+  const last = stops[stops.length - 1];
+  const step = stops.length > 1 ? last - stops[stops.length - 2] : 10;
+  return [...stops, last + step].map((t, i) => ({ t, color:TEMP_COLORS[i] }));
+}
+
+export function tempToColor(temp, { stops = DEFAULT_TEMP_STOPS, gradient = false } = {}) {
+  if (temp == null) return 'transparent';
+  if (!gradient) {
+    const i = stops.findIndex(s => temp <= s);
+    return TEMP_COLORS[i < 0 ? stops.length : i];
+  }
+  const a = anchors(stops);
+  if (temp <= a[0].t) return a[0].color;
+  for (let i = 1; i < a.length; i++)
+    if (temp <= a[i].t) return mix(a[i-1].color, a[i].color, (temp - a[i-1].t) / (a[i].t - a[i-1].t));
+  return a[a.length - 1].color;
+}
+
+// Thresholds must be six ascending numbers
+export function validStops(stops) {
+  return Array.isArray(stops) && stops.length === DEFAULT_TEMP_STOPS.length &&
+    stops.every((s, i) => Number.isFinite(s) && (i === 0 || s > stops[i-1]));
+}
@@ -0,0 +1,31 @@
+import { tempToColor, formatTemp, toUnit, fromUnit, validStops, TEMP_COLORS } from './temperature';
+
+test('buckets match the original fixed scale', () => {
+  expect(tempToColor(null)).toBe('transparent');
+  expect(tempToColor(-40)).toBe('#2c003e');
+  expect(tempToColor(-10)).toBe('#0033cc');
+  expect(tempToColor(5)).toBe('#66ffcc');
+  expect(tempToColor(20)).toBe('#ffff99');
+  expect(tempToColor(31)).toBe('#ff3300');
+  expect(tempToColor(5, { stops:[-20,-10,0,5,20,30] })).toBe('#66ffcc');
+  expect(tempToColor(6, { stops:[-20,-10,0,5,20,30] })).toBe('#ffff99');
+});
+
+test('gradient hits the anchors and blends between them', () => {
+  expect(tempToColor(-30, { gradient:true })).toBe(TEMP_COLORS[0]);
+  expect(tempToColor(0,   { gradient:true })).toBe(TEMP_COLORS[2]);
+  expect(tempToColor(50,  { gradient:true })).toBe(TEMP_COLORS[6]);
+  // halfway between #33ccff (0) and #66ffcc (10)
+  expect(tempToColor(5,   { gradient:true })).toBe('#4de6e6');
+});
+
+test('units', () => {
+  expect(toUnit(100, 'F')).toBe(212);
+  expect(fromUnit(212, 'F')).toBe(100);
+  expect(formatTemp(21, 'C')).toBe('21°C');
+  expect(formatTemp(21, 'F')).toBe('70°F');
+  expect(formatTemp(2, 'F', { delta:true, digits:1 })).toBe('3.6°F');
+  expect(validStops([-30,-10,0,10,20,30])).toBe(true);
+  expect(validStops([-30,-10,0,0,20,30])).toBe(false);
+  expect(validStops([0,10])).toBe(false);
+});
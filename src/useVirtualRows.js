@@ -0,0 +1,28 @@
+import { useEffect, useState } from 'react';
+
+// Window-scrolled list virtualisation for fixed-height rows. Returns the
+// [first, last) slice of `count` rows inside `ref` that is on screen, plus
+// `overscan` rows either side.
+export default function useVirtualRows(ref, rowHeight, count, overscan = 4) {
+  const [win,setWin] = useState({ first:0, last:Math.min(count, 12) });
+
+  useEffect(()=>{
+    const update = () => {
+      const el = ref.current;
+      if (!el || !rowHeight) return;
+      const top   = el.getBoundingClientRect().top;
+      const first = Math.min(count, Math.max(0, Math.floor(-top / rowHeight) - overscan));
+      const last  = Math.min(count, Math.max(first, Math.ceil((window.innerHeight - top) / rowHeight) + overscan));
+      setWin(w => (w.first === first && w.last === last ? w : { first, last }));
+    };
+    update();
+    window.addEventListener('scroll', update, { passive:true });
+    window.addEventListener('resize', update);
+    return () => {
+      window.removeEventListener('scroll', update);
+      window.removeEventListener('resize', update);
+    };
+  },[ref,rowHeight,count,overscan]);
+
+  return win;
+}
@@ -0,0 +1,96 @@
+import { isActiveOn } from './fleet';
+import { keyToDate } from './flightModel';
+import { dayKey } from './calendar';
+import { rangeDays } from './dateRange';
+
+// Fleet utilization: block time per aircraft by day, week or month, measured
+// against an "available hours" window on each day the aircraft was on the
+// line. Block-hours count whole blocks; the utilization percentage only
+// counts the part of each block inside the window.
+
+export const DEFAULT_AVAILABLE = { from:'07:00', to:'21:00' };
+
+export const PERIODS = [['day','Day'],['week','Week'],['month','Month']];
+
+// "HH:MM" → minutes after midnight, null if malformed
+export function clockMinutes(s) {
+  const m = String(s || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || +m[1] > 24 || +m[2] > 59) return null;
+  return Math.min(1440, +m[1] * 60 + +m[2]);
+}
+
+// Minutes after midnight → "HH:MM"
+export function clockText(min) {
+  return `${String(Math.floor(min/60)).padStart(2,'0')}:${String(min%60).padStart(2,'0')}`;
+}
+
+// { from, to } window in minutes; falls back to the default when the
+// strings are malformed or the window is empty
+export function availableWindow(from, to) {
+  const f = clockMinutes(from), t = clockMinutes(to);
+  if (f == null || t == null || t <= f)
+    return { from:clockMinutes(DEFAULT_AVAILABLE.from), to:clockMinutes(DEFAULT_AVAILABLE.to) };
+  return { from:f, to:t };
+}
+
+// Day key → key of its day, Monday-started week or month
+export function periodKey(dKey, period) {
+  if (period === 'month') return dKey.slice(0,7);
+  if (period === 'week') {
+    const d = keyToDate(dKey);
+    d.setDate(d.getDate() - ((d.getDay()+6)%7));
+    return dayKey(d);
+  }
+  return dKey;
+}
+
+// Minutes of a segment inside the window, on its own day and (for blocks
+// past midnight) the next one
+export function minutesInWindow(seg, win) {
+  let n = 0;
+  [0, 1440].forEach(off => {
+    n += Math.max(0, Math.min(seg.eMin, win.to + off) - Math.max(seg.sMin, win.from + off));
+  });
+  return n;
+}
+
+const pct = (used, available) => (available ? 100 * used / available : null);
+
+// segIndex ({ tail: { dKey: [segment] } }), the aircraft to report, an
+// inclusive { start, end } range of day keys and the window →
+//   { periods: [key],
+//     tails: [{ tail, minutes, inWindow, available, pct,
+//               byPeriod: { key: { minutes, inWindow, available, pct } } }] }
+// tails are ranked busiest first by utilization, then block time
+export function utilization(segIndex, fleet, range, win, period = 'day') {
+  const windowMin = win.to - win.from;
+  const periods = [];
+  const tails = fleet.map(ac => ({ tail:ac.tail, minutes:0, inWindow:0, available:0, byPeriod:{} }));
+
+  rangeDays(range).forEach(k => {
+    const p = periodKey(k, period);
+    if (periods[periods.length-1] !== p) periods.push(p);
+    fleet.forEach((ac, i) => {
+      if (!isActiveOn(ac, k)) return;
+      const t = tails[i];
+      const b = t.byPeriod[p] = t.byPeriod[p] || { minutes:0, inWindow:0, available:0 };
+      b.available += windowMin;
+      (segIndex[ac.tail]?.[k] || []).forEach(seg => {
+        b.minutes  += seg.eMin - seg.sMin;
+        b.inWindow += minutesInWindow(seg, win);
+      });
+    });
+  });
+
+  tails.forEach(t => {
+    Object.values(t.byPeriod).forEach(b => {
+      b.pct = pct(b.inWindow, b.available);
+      t.minutes += b.minutes;
+      t.inWindow += b.inWindow;
+      t.available += b.available;
+    });
+    t.pct = pct(t.inWindow, t.available);
+  });
+  tails.sort((a, b) => (b.pct ?? -1) - (a.pct ?? -1) || b.minutes - a.minutes);
+  return { periods, tails };
+}
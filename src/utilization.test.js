@@ -0,0 +1,42 @@
+import { utilization, availableWindow, clockText, periodKey, minutesInWindow } from './utilization';
+
+const win = availableWindow('07:00', '21:00');
+const seg = (sMin, eMin) => ({ sMin, eMin });
+
+test('window and period keys', () => {
+  expect(win).toEqual({ from:420, to:1260 });
+  expect(availableWindow('21:00', '07:00')).toEqual(win);
+  expect(availableWindow('6:30', '24:00')).toEqual({ from:390, to:1440 });
+  expect(clockText(390)).toBe('06:30');
+  expect(periodKey('2024-06-13', 'day')).toBe('2024-06-13');
+  expect(periodKey('2024-06-13', 'week')).toBe('2024-06-10');
+  expect(periodKey('2024-06-09', 'week')).toBe('2024-06-03');
+  expect(periodKey('2024-06-13', 'month')).toBe('2024-06');
+});
+
+test('only the part of a block inside the window counts', () => {
+  expect(minutesInWindow(seg(600, 720), win)).toBe(120);
+  expect(minutesInWindow(seg(360, 480), win)).toBe(60);
+  expect(minutesInWindow(seg(1200, 1500), win)).toBe(60);
+  expect(minutesInWindow(seg(1380, 1920), win)).toBe(60);   // 23:00 → 08:00
+});
+
+test('per-aircraft totals, periods and ranking', () => {
+  const fleet = [
+    { tail:'N1', activeFrom:null, activeTo:null },
+    { tail:'N2', activeFrom:'2024-06-12', activeTo:null },
+  ];
+  const segIndex = {
+    N1: { '2024-06-09':[seg(600, 660)], '2024-06-10':[seg(360, 480)] },
+    N2: { '2024-06-12':[seg(600, 900), seg(960, 1020)] },
+  };
+  const r = utilization(segIndex, fleet, { start:'2024-06-09', end:'2024-06-12' }, win, 'week');
+  expect(r.periods).toEqual(['2024-06-03', '2024-06-10']);
+  expect(r.tails.map(t => t.tail)).toEqual(['N2', 'N1']);
+  const [n2, n1] = r.tails;
+  expect(n1).toMatchObject({ minutes:180, inWindow:120, available:4 * 840 });
+  expect(n1.byPeriod['2024-06-10']).toMatchObject({ minutes:120, inWindow:60, available:3 * 840 });
+  expect(n2).toMatchObject({ minutes:360, inWindow:360, available:840 });
+  expect(n2.pct).toBeCloseTo(100 * 360 / 840);
+  expect(n2.byPeriod['2024-06-03']).toBeUndefined();
+});
@@ -0,0 +1,73 @@
+// Schema checks + data-quality report for aircraft_activity.json
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const HHMM_RE = /^\d{4}$/;
+
+// Longest plausible overnight flight (minutes); anything longer is more
+// likely a swapped start/end than a flight past midnight.
+const MAX_OVERNIGHT_MIN = 12 * 60;
+
+// "HHMM" → minutes after midnight, null when malformed. "2400" is the
+// pipeline's end-of-day marker for blocks cut at midnight.
+export function parseHHMM(s) {
+  if (typeof s !== 'string' || !HHMM_RE.test(s)) return null;
+  const h = +s.slice(0,2), m = +s.slice(2);
+  if (s === '2400') return 1440;
+  if (h > 23 || m > 59) return null;
+  return h * 60 + m;
+}
+
+// Real calendar date in "YYYY-MM-DD" form?
+export function isDateKey(s) {
+  if (typeof s !== 'string' || !DATE_RE.test(s)) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().slice(0,10) === s;
+}
+
+// Problem with one [st, et] block, or null when it's usable
+export function blockProblem(block) {
+  if (!Array.isArray(block) || block.length < 2) return 'not a [start, end] pair';
+  const [st, et] = block;
+  const s = parseHHMM(st), e = parseHHMM(et);
+  if (s == null || s === 1440) return `bad start time ${JSON.stringify(st)}`;
+  if (e == null) return `bad end time ${JSON.stringify(et)}`;
+  if (e === s) return 'zero-length block';
+  if (e < s && e + 1440 - s > MAX_OVERNIGHT_MIN) return 'end before start';
+  return null;
+}
+
+// Full report:
+//   issues:  [{ tail, date, index, block, problem }]
+//   summary: { tail: { days, blocks, malformed, ignored, overlap, duplicates } }
+// opts: { tails: known tail numbers, start/end: "YYYY-MM-DD" }
+export function validateActivity(data, { tails, start, end } = {}) {
+  const issues = [], summary = {};
+  const known = tails ? new Set(tails) : null;
+  Object.entries(data || {}).forEach(([tail, rec]) => {
+    const sum = summary[tail] = {
+      days:0, blocks:0, malformed:0,
+      ignored:    Array.isArray(rec?.ignored)    ? rec.ignored.length    : 0,
+      overlap:    Array.isArray(rec?.overlap)    ? rec.overlap.length    : 0,
+      duplicates: Array.isArray(rec?.duplicates) ? rec.duplicates.length : 0,
+    };
+    const add = (date, index, block, problem) => {
+      issues.push({ tail, date, index, block, problem });
+      if (index != null) sum.malformed++;
+    };
+    if (known && !known.has(tail)) add(null, null, null, 'tail not in fleet config');
+    ['ignored','overlap','duplicates'].forEach(k => {
+      if (rec?.[k] != null && !Array.isArray(rec[k])) add(null, null, null, `${k} is not an array`);
+    });
+    Object.entries(rec?.blocksByDate || {}).forEach(([dKey, blocks]) => {
+      sum.days++;
+      if (!isDateKey(dKey)) add(dKey, null, null, 'malformed date');
+      else if ((start && dKey < start) || (end && dKey > end)) add(dKey, null, null, 'date outside range');
+      (Array.isArray(blocks) ? blocks : []).forEach((b, i) => {
+        sum.blocks++;
+        const p = blockProblem(b);
+        if (p) add(dKey, i, b, p);
+      });
+    });
+  });
+  return { issues, summary };
+}
@@ -0,0 +1,49 @@
+import { parseHHMM, blockProblem, validateActivity } from './validate';
+
+test('parseHHMM accepts clock times and the 2400 end marker', () => {
+  expect(parseHHMM('0000')).toBe(0);
+  expect(parseHHMM('0940')).toBe(580);
+  expect(parseHHMM('2400')).toBe(1440);
+  expect(parseHHMM('2460')).toBeNull();
+  expect(parseHHMM('940')).toBeNull();
+  expect(parseHHMM(940)).toBeNull();
+});
+
+test('blockProblem flags malformed blocks but allows overnight wraps', () => {
+  expect(blockProblem(['0940','1020'])).toBeNull();
+  expect(blockProblem(['2308','0112'])).toBeNull();
+  expect(blockProblem(['2108','2400'])).toBeNull();
+  expect(blockProblem(['1700','0600'])).toBe('end before start');
+  expect(blockProblem(['1000','1000'])).toBe('zero-length block');
+  expect(blockProblem(['2400','0100'])).toMatch(/bad start/);
+  expect(blockProblem(['10:00','1100'])).toMatch(/bad start/);
+  expect(blockProblem(['1000'])).toMatch(/pair/);
+});
+
+test('validateActivity reports issues and per-aircraft counts', () => {
+  const data = {
+    N1: {
+      blocksByDate: {
+        '2024-07-01': [['0900','1000'],['1100','99']],
+        '2024-02-30': [],
+        '2023-12-31': [],
+      },
+      ignored: [{}, {}],
+      overlap: [{}],
+      duplicates: [],
+    },
+    N2: { blocksByDate: {} },
+  };
+  const { issues, summary } = validateActivity(data, {
+    tails: ['N1'], start: '2024-01-01', end: '2024-12-31',
+  });
+  expect(summary.N1).toEqual({
+    days:3, blocks:2, malformed:1, ignored:2, overlap:1, duplicates:0,
+  });
+  expect(issues.map(i => `${i.tail} ${i.date} ${i.problem}`)).toEqual([
+    'N1 2024-07-01 bad end time "99"',
+    'N1 2024-02-30 malformed date',
+    'N1 2023-12-31 date outside range',
+    'N2 null tail not in fleet config',
+  ]);
+});
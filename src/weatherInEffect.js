@@ -0,0 +1,98 @@
+// Weather in effect at any instant: the most recent observation, routine or
+// special, no older than STALE_MIN. Blocks are judged over their real span
+// rather than by the clock hours they start in.
+
+// An observation older than this no longer describes the weather
+export const STALE_MIN = 90;
+
+// Filter bucket for blocks with no observation to judge them by
+export const NO_METAR = 'NO_METAR';
+
+// Worst-first ordering of the flight categories
+export const CATEGORY_RANK = { VFR:0, MVFR:1, IFR:2, LIFR:3 };
+
+// METAR records → time-sorted [{ t (ms), rec }]; records without a valid
+// local_time are left out. Several records at one minute keep the last.
+export function buildTimeline(records) {
+  const out = [];
+  (records || []).forEach(rec => {
+    const t = new Date(rec?.local_time).getTime();
+    if (!isNaN(t)) out.push({ t, rec });
+  });
+  out.sort((a, b) => a.t - b.t);
+  return out.filter((o, i) => i === out.length - 1 || out[i + 1].t !== o.t);
+}
+
+// Index of the last entry at or before ms, -1 if none
+function lastAtOrBefore(timeline, ms) {
+  let lo = 0, hi = timeline.length - 1, found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (timeline[mid].t <= ms) { found = mid; lo = mid + 1; }
+    else hi = mid - 1;
+  }
+  return found;
+}
+
+// Record in effect at ms, or null when nothing recent enough
+export function obsAt(timeline, ms) {
+  const i = lastAtOrBefore(timeline, ms);
+  if (i < 0 || ms - timeline[i].t > STALE_MIN * 60000) return null;
+  return timeline[i].rec;
+}
+
+// Records in effect at some point in [startMs, endMs): the one in effect at
+// the start (if any) plus every observation issued during the span
+export function obsDuring(timeline, startMs, endMs) {
+  const out = [];
+  const first = obsAt(timeline, startMs);
+  if (first) out.push(first);
+  for (let i = lastAtOrBefore(timeline, startMs) + 1; i < timeline.length && timeline[i].t < endMs; i++)
+    out.push(timeline[i].rec);
+  return out;
+}
+
+// Instants in (startMs, endMs) at which the weather in effect may change:
+// each observation, and the moment it goes stale
+export function changesDuring(timeline, startMs, endMs) {
+  const out = [];
+  for (let i = Math.max(0, lastAtOrBefore(timeline, startMs - STALE_MIN * 60000)); i < timeline.length && timeline[i].t < endMs; i++)
+    [timeline[i].t, timeline[i].t + STALE_MIN * 60000].forEach(t => { if (t > startMs && t < endMs) out.push(t); });
+  return out.sort((a, b) => a - b);
+}
+
+// Worst flight category among records, null if none carry one
+export function worstCategory(recs) {
+  let worst = null;
+  recs.forEach(r => {
+    const c = r?.flight_category;
+    if (c in CATEGORY_RANK && (worst == null || CATEGORY_RANK[c] > CATEGORY_RANK[worst])) worst = c;
+  });
+  return worst;
+}
+
+// Weather over a segment ({ start, end } Dates): { obs: [rec], departure,
+// arrival (records or null), atDeparture, atArrival, worst (categories or null) }
+export function blockWeather(timeline, seg) {
+  return routeWeather(timeline, timeline, seg);
+}
+
+// The same for a block flown between two stations: departure judged at the
+// origin, arrival at the destination, worst over both for the whole span.
+// A null timeline is an end with no data: its departure/arrival is null, and
+// so is worst, since the other end alone can't tell it.
+export function routeWeather(origin, dest, seg) {
+  const s = seg.start.getTime(), e = seg.end.getTime();
+  const departure = origin && obsAt(origin, s);
+  const arrival = dest && obsAt(dest, e);
+  const ends = origin === dest ? [origin] : [origin, dest];
+  const obs = ends.filter(Boolean).flatMap(t => obsDuring(t, s, e));
+  return {
+    obs,
+    departure,
+    arrival,
+    atDeparture: departure?.flight_category ?? null,
+    atArrival: arrival?.flight_category ?? null,
+    worst: origin && dest ? worstCategory(obs) : null,
+  };
+}
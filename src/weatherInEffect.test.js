@@ -0,0 +1,58 @@
+import { buildTimeline, obsAt, obsDuring, changesDuring, blockWeather, routeWeather, worstCategory } from './weatherInEffect';
+
+const obs = (hhmm, flight_category) => ({
+  local_time: `2024-08-01T${hhmm.slice(0,2)}:${hhmm.slice(2)}:00-04:00`, flight_category,
+});
+const at = hhmm => new Date(`2024-08-01T${hhmm.slice(0,2)}:${hhmm.slice(2)}:00-04:00`);
+
+const timeline = buildTimeline([
+  obs('1051', 'VFR'),
+  obs('0851', 'VFR'),
+  obs('0951', 'VFR'),
+  obs('1012', 'IFR'),           // special inside the hour
+  { local_time:'NaT', flight_category:null },
+  obs('1451', 'MVFR'),
+]);
+
+test('timeline is sorted and drops unusable times', () => {
+  expect(timeline.map(o => o.rec.flight_category)).toEqual(['VFR','VFR','IFR','VFR','MVFR']);
+});
+
+test('the most recent observation is in effect, until it goes stale', () => {
+  expect(obsAt(timeline, at('0940').getTime()).local_time).toContain('08:51');
+  expect(obsAt(timeline, at('1015').getTime()).flight_category).toBe('IFR');
+  expect(obsAt(timeline, at('1222').getTime())).toBeNull();     // 91 min after 10:51
+  expect(obsAt(timeline, at('0800').getTime())).toBeNull();
+});
+
+test('the weather in effect changes with each report and when one goes stale', () => {
+  expect(changesDuring(timeline, at('0940').getTime(), at('1300').getTime()))
+    .toEqual(['0951','1012','1021','1051','1121','1142','1221'].map(t => at(t).getTime()));
+});
+
+test('a 0940–1020 block sees the 08:51, 09:51 and 10:12 reports', () => {
+  const seg = { start:at('0940'), end:at('1020') };
+  expect(obsDuring(timeline, seg.start.getTime(), seg.end.getTime())).toHaveLength(3);
+  expect(blockWeather(timeline, seg)).toMatchObject({ atDeparture:'VFR', worst:'IFR' });
+  expect(blockWeather(timeline, { start:at('1100'), end:at('1130') }))
+    .toMatchObject({ atDeparture:'VFR', worst:'VFR' });
+  expect(blockWeather(timeline, { start:at('1300'), end:at('1400') }))
+    .toMatchObject({ atDeparture:null, worst:null, obs:[] });
+  expect(worstCategory([{ flight_category:'MVFR' }, { flight_category:'LIFR' }])).toBe('LIFR');
+});
+
+test('route weather judges departure at the origin and arrival at the destination', () => {
+  const dest = buildTimeline([obs('0951', 'MVFR'), obs('1051', 'LIFR')]);
+  const seg = { start:at('0940'), end:at('1100') };
+  expect(routeWeather(timeline, dest, seg)).toMatchObject({ atDeparture:'VFR', atArrival:'LIFR', worst:'LIFR' });
+  expect(routeWeather(timeline, dest, seg).obs).toHaveLength(6);
+  expect(blockWeather(timeline, seg)).toMatchObject({ atArrival:'VFR', worst:'IFR' });
+});
+
+test('an end without data stays unresolved', () => {
+  const seg = { start:at('0940'), end:at('1100') };
+  const wx = routeWeather(timeline, null, seg);
+  expect(wx).toMatchObject({ atDeparture:'VFR', arrival:null, atArrival:null, worst:null });
+  expect(wx.obs).toHaveLength(4);
+  expect(routeWeather(null, null, seg)).toMatchObject({ departure:null, worst:null, obs:[] });
+});
@@ -0,0 +1,63 @@
+// Crosswind against the best available runway. Runways are given as
+// designators ("01/19 10/28"); each end's heading is its number × 10°.
+// Winds are decoded METAR winds ({ dir, speed, gust, variable, varFrom, varTo }).
+
+export const DEFAULT_RUNWAYS = '01/19 10/28';
+
+// "01/19 10/28" → [10, 190, 100, 280]; junk designators are skipped
+export function parseRunways(text) {
+  return String(text || '')
+    .split(/[\s,/]+/)
+    .map(s => s.match(/^(\d{1,2})[LCR]?$/))
+    .filter(m => m && +m[1] >= 1 && +m[1] <= 36)
+    .map(m => +m[1] * 10);
+}
+
+const components = (dir, speed, heading) => {
+  const a = (dir - heading) * Math.PI / 180;
+  return { cross: Math.abs(Math.sin(a) * speed), head: Math.cos(a) * speed };
+};
+
+// Worst-case angle off a heading for a wind that may swing between varFrom
+// and varTo (or anywhere, for VRB)
+function worstCross(wind, heading, speed) {
+  if (wind.dir == null) return speed;
+  if (wind.varFrom == null) return components(wind.dir, speed, heading).cross;
+  const span = (wind.varTo - wind.varFrom + 360) % 360;
+  let worst = 0;
+  for (let d = 0; d <= span; d += 10)
+    worst = Math.max(worst, components(wind.varFrom + d, speed, heading).cross);
+  return Math.max(worst, components(wind.varTo, speed, heading).cross);
+}
+
+// Crosswind on the runway that minimises it (ties go to more headwind):
+// { runway (designator), cross, head, gustCross, gustFactor } in knots, or
+// null without a usable wind. Calm is 0 on the first runway.
+export function crosswind(wind, headings) {
+  if (!wind || wind.speed == null || !headings?.length) return null;
+  const gustFactor = wind.gust != null ? wind.gust - wind.speed : 0;
+  let best = null;
+  headings.forEach(h => {
+    const head = wind.dir == null ? 0 : components(wind.dir, wind.speed, h).head;
+    const cross = worstCross(wind, h, wind.speed);
+    if (!best || cross < best.cross - 1e-9 || (Math.abs(cross - best.cross) < 1e-9 && head > best.head))
+      best = { heading:h, cross, head };
+  });
+  const gustCross = wind.gust != null ? worstCross(wind, best.heading, wind.gust) : best.cross;
+  return {
+    runway: String(best.heading / 10).padStart(2, '0'),
+    cross: Math.round(best.cross),
+    head: Math.round(best.head),
+    gustCross: Math.round(gustCross),
+    gustFactor,
+  };
+}
+
+// Strip color by steady crosswind (kt)
+export function crosswindColor(xw) {
+  if (!xw)           return 'transparent';
+  if (xw.cross < 5)  return '#E0F3DB';
+  if (xw.cross < 10) return '#A8DDB5';
+  if (xw.cross < 15) return '#FDAE61';
+  return '#D7191C';
+}
@@ -0,0 +1,27 @@
+import { parseRunways, crosswind, DEFAULT_RUNWAYS } from './wind';
+
+const ALB = parseRunways(DEFAULT_RUNWAYS);
+
+test('parses runway designators to headings', () => {
+  expect(ALB).toEqual([10, 190, 100, 280]);
+  expect(parseRunways('4L/22R, 99 x')).toEqual([40, 220]);
+  expect(parseRunways('')).toEqual([]);
+});
+
+test('picks the runway with the least crosswind and reports gusts', () => {
+  // 280 at 12G19: straight down runway 28
+  expect(crosswind({ dir:280, speed:12, gust:19 }, ALB))
+    .toMatchObject({ runway:'28', cross:0, head:12, gustCross:0, gustFactor:7 });
+  // 055 at 20: 45° off both 01 and 10 → 14 kt either way; 01 has equal headwind, first wins
+  expect(crosswind({ dir:55, speed:20, gust:null }, ALB)).toMatchObject({ cross:14, gustFactor:0 });
+  // 340 at 10 on runway 01: 30° off → 5 kt
+  expect(crosswind({ dir:340, speed:10, gust:null }, ALB)).toMatchObject({ runway:'01', cross:5, head:9 });
+});
+
+test('variable and missing winds', () => {
+  expect(crosswind({ dir:null, speed:4, gust:null, variable:true }, ALB)).toMatchObject({ cross:4 });
+  // 250V310 at 10 can swing 30° off runway 28
+  expect(crosswind({ dir:280, speed:10, gust:null, varFrom:250, varTo:310 }, ALB).cross).toBe(5);
+  expect(crosswind(null, ALB)).toBeNull();
+  expect(crosswind({ dir:0, speed:0, gust:null }, ALB)).toMatchObject({ cross:0 });
+});